@@ -1,22 +1,104 @@
 local M = {}
 local replace = require("nvim-assist.replace")
 local ui = require("nvim-assist.ui")
+local diagnostics = require("nvim-assist.diagnostics")
+local review = require("nvim-assist.review")
+local log = require("nvim-assist.log")
+
+---@class SessionChange
+---@field session_id string OpenCode session that made the change
+---@field changedtick number Buffer changedtick right after the change
+
+---@type table<number, SessionChange> # Map of bufnr to last change made by an agent session
+local last_session_changes = {}
 
 ---@class ReplaceData
 ---@field bufnr? number Buffer number (defaults to current buffer)
 ---@field old_string string Text to find and replace
 ---@field new_string string Replacement text
 ---@field replace_all? boolean Replace all occurrences (default: false)
+---@field session_id? string OpenCode session making the change (used by review mode)
 
 ---@class ReplaceResult
 ---@field success boolean Whether replacement succeeded
 ---@field error? string Error message if failed
 ---@field message? string Success message if succeeded
+---@field pending? boolean Whether the change was staged for review instead of applied
+---@field diagnostics? DiagnosticEntry[] Diagnostics in the edited range after replacement
 
 ---@class BufferInfo
 ---@field bufnr number Buffer number
----@field content string Full buffer content as string
+---@field content string Buffer content (requested line range) as string
 ---@field filepath string Full path to the buffer file
+---@field start_line number First returned line (1-indexed)
+---@field end_line number Last returned line (1-indexed, inclusive)
+---@field line_count number Total number of lines in the buffer
+---@field changedtick number Buffer changedtick at read time (pass to replace_lines)
+
+---@class ReadOptions
+---@field start_line? number First line to read (1-indexed, default: 1)
+---@field end_line? number Last line to read (1-indexed, inclusive, default: last line)
+---@field line_numbers? boolean Prefix each line with its line number (default: false)
+
+---@class ReplaceLinesData
+---@field bufnr number Buffer number to modify
+---@field start_line number First line to replace (1-indexed)
+---@field end_line number Last line to replace (1-indexed, inclusive; start_line - 1 inserts)
+---@field new_string string Replacement text (empty string deletes the lines)
+---@field changedtick? number Changedtick returned by the read the edit is based on
+---@field session_id? string OpenCode session making the change
+
+---@class ReplaceLinesResult
+---@field success boolean Whether replacement succeeded
+---@field error? string Error message if failed
+---@field message? string Success message if succeeded
+---@field pending? boolean Whether the change was staged for review instead of applied
+---@field changedtick? number Buffer changedtick after the change
+---@field diagnostics? DiagnosticEntry[] Diagnostics in the edited range after replacement
+
+---@class EditData
+---@field bufnr number Buffer number to modify
+---@field old_string string Text to find and replace
+---@field new_string string Replacement text
+---@field replace_all? boolean Replace all occurrences (default: false)
+
+---@class ApplyEditsData
+---@field edits EditData[] Edits applied in order (later edits see earlier ones)
+---@field session_id? string OpenCode session making the change
+
+---@class EditError
+---@field index number Position of the edit in the list (1-indexed)
+---@field bufnr number Buffer number of the edit
+---@field error string Error message
+
+---@class ApplyEditsResult
+---@field success boolean Whether all edits were applied
+---@field error? string Error summary if failed
+---@field errors? EditError[] Per-edit errors if failed
+---@field message? string Success message if succeeded
+---@field pending? boolean Whether the changes were staged for review instead of applied
+---@field diagnostics? DiagnosticEntry[] Diagnostics in the edited ranges after applying
+
+---@class OpenFileData
+---@field path string File path (absolute or relative to cwd)
+---@field cwd string Session working directory the file must be under
+---@field split? string "horizontal" or "vertical" to also show the file in a split
+---@field request_id number Identifier echoed back in the completion notification
+---@field channel number RPC channel notified once the user decided
+
+---@class OpenFileResult
+---@field success boolean Whether the file was opened
+---@field error? string Error message if failed or denied
+---@field bufnr? number Buffer number of the opened file
+---@field filepath? string Full path to the opened file
+---@field prompted? boolean Whether the user was asked (result follows as notification)
+
+---@class CommitResult
+---@field bufnr number Buffer number
+---@field pending boolean Whether the change was staged for review instead of applied
+---@field hunk_count? number Number of pending hunks staged (review mode)
+---@field first_line? number First changed line (1-indexed), nil if identical
+---@field last_line? number Last changed line in new content (1-indexed)
 
 ---@class BufferMetadata
 ---@field bufnr number Buffer number
@@ -38,24 +120,69 @@ local function validate_buffer(bufnr)
     return bufnr
 end
 
+---Validate buffer exists, is loaded and can be modified
+---@param bufnr number Buffer number to validate
+---@return number|nil bufnr Valid buffer number on success
+---@return string|nil error Error message if invalid
+local function validate_modifiable_buffer(bufnr)
+    local valid_bufnr, err = validate_buffer(bufnr)
+    if not valid_bufnr then
+        return nil, err
+    end
+
+    if not vim.bo[bufnr].modifiable then
+        return nil, "Buffer " .. bufnr .. " is not modifiable"
+    end
+
+    return bufnr
+end
+
 ---Get buffer content and metadata
 ---@param bufnr? number Buffer number (defaults to current buffer)
----@return BufferInfo|nil # Buffer info on success
----@return string|nil error Error message if buffer invalid
-function M.get_buffer_content(bufnr)
+---@param opts? ReadOptions Line range and format options
+---@return BufferInfo|ReplaceResult # Buffer info on success, {success=false, error} if invalid
+function M.get_buffer_content(bufnr, opts)
     bufnr = bufnr or vim.api.nvim_get_current_buf()
+    opts = opts or {}
 
     -- Validate buffer exists and is loaded
     local valid_bufnr, err = validate_buffer(bufnr)
     if not valid_bufnr then
-        return nil, err
+        return { success = false, error = err }
+    end
+
+    local line_count = vim.api.nvim_buf_line_count(bufnr)
+    local start_line = opts.start_line or 1
+    local end_line = math.min(opts.end_line or line_count, line_count)
+    if start_line < 1 or start_line > line_count or end_line < start_line then
+        return {
+            success = false,
+            error = string.format(
+                "Invalid line range %d-%d (buffer %d has %d lines)",
+                start_line,
+                end_line,
+                bufnr,
+                line_count
+            ),
+        }
+    end
+
+    local lines =
+        vim.api.nvim_buf_get_lines(bufnr, start_line - 1, end_line, false)
+    if opts.line_numbers then
+        for i, line in ipairs(lines) do
+            lines[i] = string.format("%6d\t%s", start_line + i - 1, line)
+        end
     end
 
-    local lines = vim.api.nvim_buf_get_lines(bufnr, 0, -1, false)
     return {
         bufnr = bufnr,
         content = table.concat(lines, "\n"),
         filepath = vim.api.nvim_buf_get_name(bufnr),
+        start_line = start_line,
+        end_line = end_line,
+        line_count = line_count,
+        changedtick = vim.api.nvim_buf_get_changedtick(bufnr),
     }
 end
 
@@ -85,6 +212,314 @@ function M.list_buffers()
     return buffers
 end
 
+---Find the range of lines that differ between old and new content
+---@param lines string[] Old buffer lines
+---@param new_lines string[] New buffer lines
+---@return number|nil first_changed_line First changed line (1-indexed), nil if identical
+---@return number|nil last_changed_line Last changed line in new content (1-indexed)
+local function changed_range(lines, new_lines)
+    -- Find the first line where change occurs
+    local first_changed_line = nil
+    for i = 1, math.min(#lines, #new_lines) do
+        if lines[i] ~= new_lines[i] then
+            first_changed_line = i
+            break
+        end
+    end
+
+    -- If no difference found in common lines but sizes differ, change is at the end
+    if not first_changed_line and #lines ~= #new_lines then
+        first_changed_line = math.min(#lines, #new_lines) + 1
+    end
+
+    if not first_changed_line then
+        return nil, nil
+    end
+
+    -- Find the last changed line in the new content by walking back from the end
+    local old_i, new_i = #lines, #new_lines
+    while
+        old_i >= first_changed_line
+        and new_i >= first_changed_line
+        and lines[old_i] == new_lines[new_i]
+    do
+        old_i, new_i = old_i - 1, new_i - 1
+    end
+
+    return first_changed_line, math.max(new_i, first_changed_line)
+end
+
+---Join the next change into the previous undo block of the same session
+---Only joins when the buffer was not changed by anything else in between
+---@param bufnr number Buffer number
+---@param session_id? string OpenCode session making the change
+local function join_session_undo(bufnr, session_id)
+    local last = last_session_changes[bufnr]
+    if
+        session_id
+        and last
+        and last.session_id == session_id
+        and last.changedtick == vim.api.nvim_buf_get_changedtick(bufnr)
+    then
+        -- undojoin fails right after an undo; start a new block then
+        vim.api.nvim_buf_call(bufnr, function()
+            pcall(vim.cmd, "undojoin")
+        end)
+    end
+end
+
+---Replace buffer lines, preserving cursors and tracked extmarks
+---@param bufnr number Buffer number
+---@param lines string[] Current buffer lines
+---@param new_lines string[] New buffer lines
+---@param session_id? string OpenCode session making the change
+---@return number|nil first_changed_line First changed line (1-indexed), nil if identical
+---@return number|nil last_changed_line Last changed line in new content (1-indexed)
+local function apply_lines(bufnr, lines, new_lines, session_id)
+    -- Store cursor positions for all windows showing this buffer
+    local cursor_positions = {}
+    for _, win in ipairs(vim.api.nvim_list_wins()) do
+        if vim.api.nvim_win_get_buf(win) == bufnr then
+            cursor_positions[win] = vim.api.nvim_win_get_cursor(win)
+        end
+    end
+
+    local first_changed_line, last_changed_line =
+        changed_range(lines, new_lines)
+
+    -- Calculate line difference
+    local line_diff = #new_lines - #lines
+
+    -- Update target lines to current extmark positions (captures manual edits)
+    ui.update_tracked_target_lines()
+    local annotation_lines = ui.capture_annotation_lines(bufnr)
+
+    -- Apply the changes to the buffer as part of the session's undo block
+    join_session_undo(bufnr, session_id)
+    vim.api.nvim_buf_set_lines(bufnr, 0, -1, false, new_lines)
+    if session_id then
+        last_session_changes[bufnr] = {
+            session_id = session_id,
+            changedtick = vim.api.nvim_buf_get_changedtick(bufnr),
+        }
+    end
+
+    -- Reposition tracked extmarks after programmatic buffer change
+    ui.reposition_tracked_extmarks()
+    ui.restore_annotation_lines(
+        bufnr,
+        annotation_lines,
+        first_changed_line,
+        line_diff
+    )
+
+    -- Adjust cursor positions for all windows showing this buffer
+    if first_changed_line and line_diff ~= 0 then
+        for win, pos in pairs(cursor_positions) do
+            if vim.api.nvim_win_is_valid(win) then
+                local row, col = pos[1], pos[2]
+                -- If cursor is on or after the first changed line, adjust it
+                if row >= first_changed_line then
+                    local new_row = row + line_diff
+                    -- Ensure the new row is valid (at least 1, at most the number of lines)
+                    new_row = math.max(1, math.min(new_row, #new_lines))
+                    vim.api.nvim_win_set_cursor(win, { new_row, col })
+                end
+            end
+        end
+    end
+
+    return first_changed_line, last_changed_line
+end
+
+---Apply new lines to a buffer, or stage them as pending hunks in review mode
+---@param bufnr number Buffer number
+---@param lines string[] Current buffer lines
+---@param new_lines string[] New buffer lines
+---@param session_id? string OpenCode session making the change
+---@return CommitResult # What happened to the change
+local function commit_lines(bufnr, lines, new_lines, session_id)
+    if review.is_enabled() then
+        return {
+            bufnr = bufnr,
+            pending = true,
+            hunk_count = review.stage(bufnr, lines, new_lines, session_id),
+        }
+    end
+
+    local first_line, last_line =
+        apply_lines(bufnr, lines, new_lines, session_id)
+    return {
+        bufnr = bufnr,
+        pending = false,
+        first_line = first_line,
+        last_line = last_line,
+    }
+end
+
+---Format the message for a change staged in review mode
+---@param hunk_count number Number of pending hunks staged
+---@return string # Message for the agent
+local function pending_message(hunk_count)
+    return string.format(
+        "Change staged as %d pending hunk(s) awaiting user review",
+        hunk_count
+    )
+end
+
+---Let language servers republish, then collect diagnostics in edited lines
+---@param commits CommitResult[] Applied changes
+---@return DiagnosticEntry[] # Diagnostics overlapping the changed ranges
+local function edited_range_diagnostics(commits)
+    local changed = vim.tbl_filter(function(commit)
+        return commit.first_line ~= nil
+    end, commits)
+    if #changed == 0 then
+        return {}
+    end
+
+    diagnostics.wait(vim.tbl_map(function(commit)
+        return commit.bufnr
+    end, changed))
+
+    local range_diagnostics = {}
+    for _, commit in ipairs(changed) do
+        vim.list_extend(
+            range_diagnostics,
+            diagnostics.get_range_diagnostics(
+                commit.bufnr,
+                commit.first_line,
+                commit.last_line
+            )
+        )
+    end
+    return range_diagnostics
+end
+
+---RPC notification sent when the user answered an open file request
+local OPEN_FILE_NOTIFICATION = "nvim_assist_open_file"
+
+---Resolve a path and ensure it stays inside a directory
+---Symlinks are resolved so they cannot escape the directory
+---@param path string File path (absolute or relative to cwd)
+---@param cwd string Directory the file must be under
+---@return string|nil filepath Resolved absolute path on success
+---@return string|nil error Error message if invalid
+function M.resolve_project_path(path, cwd)
+    local root = vim.loop.fs_realpath(cwd)
+    if not root then
+        return nil, "Session directory does not exist: " .. cwd
+    end
+
+    local absolute = path
+    if not vim.startswith(path, "/") then
+        absolute = cwd .. "/" .. path
+    end
+
+    local filepath = vim.loop.fs_realpath(absolute)
+    if not filepath then
+        return nil, "File does not exist: " .. path
+    end
+
+    if not vim.startswith(filepath, root .. "/") then
+        return nil,
+            string.format("File %s is outside the session directory", path)
+    end
+
+    if vim.fn.isdirectory(filepath) == 1 then
+        return nil, "Path is a directory: " .. path
+    end
+
+    return filepath
+end
+
+---Load a file as a listed buffer, optionally showing it in a split
+---Keeps focus in the current window
+---@param filepath string Absolute file path
+---@param split? string "horizontal" or "vertical"
+---@return number # Buffer number
+local function load_file(filepath, split)
+    local bufnr = vim.fn.bufadd(filepath)
+    vim.fn.bufload(bufnr)
+    vim.bo[bufnr].buflisted = true
+
+    if split == "horizontal" or split == "vertical" then
+        local win = vim.api.nvim_get_current_win()
+        vim.cmd(split == "vertical" and "vsplit" or "split")
+        vim.api.nvim_win_set_buf(0, bufnr)
+        vim.api.nvim_set_current_win(win)
+    end
+
+    return bufnr
+end
+
+---Open a project file as a buffer after asking the user for consent
+---Files that are already open are returned immediately. Otherwise the user is
+---asked via vim.ui.select and the result is sent as an RPC notification
+---(request_id, OpenFileResult) on the given channel.
+---@param open_data OpenFileData Open parameters
+---@return OpenFileResult # Immediate result, or {success=true, prompted=true}
+function M.open_file(open_data)
+    local filepath, err = M.resolve_project_path(open_data.path, open_data.cwd)
+    if not filepath then
+        return { success = false, error = err }
+    end
+
+    -- Already listed buffers need no consent
+    for _, info in ipairs(M.list_buffers()) do
+        if vim.loop.fs_realpath(info.filepath) == filepath then
+            return { success = true, bufnr = info.bufnr, filepath = filepath }
+        end
+    end
+
+    local relative = filepath:sub(#vim.loop.fs_realpath(open_data.cwd) + 2)
+
+    -- Ask asynchronously so custom vim.ui.select implementations can run
+    vim.schedule(function()
+        vim.ui.select({ "Allow", "Deny" }, {
+            prompt = string.format("AI agent wants to open %s:", relative),
+        }, function(choice)
+            local result
+            if choice == "Allow" then
+                local ok, bufnr = pcall(load_file, filepath, open_data.split)
+                if ok then
+                    result =
+                        { success = true, bufnr = bufnr, filepath = filepath }
+                else
+                    result = {
+                        success = false,
+                        error = "Failed to open "
+                            .. relative
+                            .. ": "
+                            .. tostring(bufnr),
+                    }
+                end
+            else
+                result = {
+                    success = false,
+                    error = "User denied opening " .. relative,
+                }
+            end
+
+            -- The channel is gone if the plugin reconnected while asking
+            local ok, notify_err = pcall(
+                vim.rpcnotify,
+                open_data.channel,
+                OPEN_FILE_NOTIFICATION,
+                open_data.request_id,
+                result
+            )
+            if not ok then
+                log.warn(
+                    "Failed to send open file answer: " .. tostring(notify_err)
+                )
+            end
+        end)
+    end)
+
+    return { success = true, prompted = true }
+end
+
 ---Replace text in buffer using smart matching strategies
 ---Tries multiple strategies: exact match, line-trimmed, block anchor, multi-occurrence
 ---Preserves cursor position across all windows showing the buffer
@@ -104,8 +539,8 @@ function M.replace_text(replace_data)
         }
     end
 
-    -- Validate buffer exists and is loaded
-    local valid_bufnr, err = validate_buffer(bufnr)
+    -- Validate buffer exists, is loaded and modifiable
+    local valid_bufnr, err = validate_modifiable_buffer(bufnr)
     if not valid_bufnr then
         return { success = false, error = err }
     end
@@ -114,14 +549,6 @@ function M.replace_text(replace_data)
     local lines = vim.api.nvim_buf_get_lines(bufnr, 0, -1, false)
     local content = table.concat(lines, "\n")
 
-    -- Store cursor positions for all windows showing this buffer
-    local cursor_positions = {}
-    for _, win in ipairs(vim.api.nvim_list_wins()) do
-        if vim.api.nvim_win_get_buf(win) == bufnr then
-            cursor_positions[win] = vim.api.nvim_win_get_cursor(win)
-        end
-    end
-
     -- Attempt replacement
     local new_content, replace_err =
         replace.replace(content, old_string, new_string, replace_all)
@@ -133,51 +560,232 @@ function M.replace_text(replace_data)
     -- Split into lines
     local new_lines = vim.split(new_content, "\n", { plain = true })
 
-    -- Find the first line where change occurs
-    local first_changed_line = nil
-    for i = 1, math.min(#lines, #new_lines) do
-        if lines[i] ~= new_lines[i] then
-            first_changed_line = i
-            break
-        end
+    local commit =
+        commit_lines(bufnr, lines, new_lines, replace_data.session_id)
+    if commit.pending then
+        return {
+            success = true,
+            pending = true,
+            message = pending_message(commit.hunk_count),
+        }
     end
 
-    -- If no difference found in common lines but sizes differ, change is at the end
-    if not first_changed_line and #lines ~= #new_lines then
-        first_changed_line = math.min(#lines, #new_lines) + 1
+    return {
+        success = true,
+        message = replace_all and "All occurrences replaced" or "Text replaced",
+        diagnostics = edited_range_diagnostics({ commit }),
+    }
+end
+
+---Replace an explicit line range in a buffer
+---Rejects the edit if the buffer changed since the read it is based on
+---@param lines_data ReplaceLinesData Replacement parameters
+---@return ReplaceLinesResult # Result object with success/error information
+function M.replace_lines(lines_data)
+    local bufnr = lines_data.bufnr
+    local start_line = lines_data.start_line
+    local end_line = lines_data.end_line
+
+    -- Validate inputs
+    if not start_line or not end_line or not lines_data.new_string then
+        return {
+            success = false,
+            error = "start_line, end_line and new_string are required",
+        }
     end
 
-    -- Calculate line difference
-    local line_diff = #new_lines - #lines
+    -- Validate buffer exists, is loaded and modifiable
+    local valid_bufnr, err = validate_modifiable_buffer(bufnr)
+    if not valid_bufnr then
+        return { success = false, error = err }
+    end
 
-    -- Update target lines to current extmark positions (captures manual edits)
-    ui.update_tracked_target_lines()
+    -- Guard against edits based on a stale read
+    local changedtick = vim.api.nvim_buf_get_changedtick(bufnr)
+    if lines_data.changedtick and lines_data.changedtick ~= changedtick then
+        return {
+            success = false,
+            error = string.format(
+                "Buffer %d changed since it was read (changedtick %d, now %d). Read it again with editor_get_buffer",
+                bufnr,
+                lines_data.changedtick,
+                changedtick
+            ),
+        }
+    end
 
-    -- Apply the changes to the buffer
-    vim.api.nvim_buf_set_lines(bufnr, 0, -1, false, new_lines)
+    local lines = vim.api.nvim_buf_get_lines(bufnr, 0, -1, false)
+    if
+        start_line < 1
+        or start_line > #lines + 1
+        or end_line < start_line - 1
+        or end_line > #lines
+    then
+        return {
+            success = false,
+            error = string.format(
+                "Invalid line range %d-%d (buffer %d has %d lines)",
+                start_line,
+                end_line,
+                bufnr,
+                #lines
+            ),
+        }
+    end
 
-    -- Reposition tracked extmarks after programmatic buffer change
-    ui.reposition_tracked_extmarks()
+    -- Build new buffer lines around the replaced range
+    local new_lines = vim.list_slice(lines, 1, start_line - 1)
+    if lines_data.new_string ~= "" then
+        vim.list_extend(
+            new_lines,
+            vim.split(lines_data.new_string, "\n", { plain = true })
+        )
+    end
+    vim.list_extend(new_lines, lines, end_line + 1, #lines)
 
-    -- Adjust cursor positions for all windows showing this buffer
-    if first_changed_line and line_diff ~= 0 then
-        for win, pos in pairs(cursor_positions) do
-            if vim.api.nvim_win_is_valid(win) then
-                local row, col = pos[1], pos[2]
-                -- If cursor is on or after the first changed line, adjust it
-                if row >= first_changed_line then
-                    local new_row = row + line_diff
-                    -- Ensure the new row is valid (at least 1, at most the number of lines)
-                    new_row = math.max(1, math.min(new_row, #new_lines))
-                    vim.api.nvim_win_set_cursor(win, { new_row, col })
-                end
+    local commit = commit_lines(bufnr, lines, new_lines, lines_data.session_id)
+    if commit.pending then
+        return {
+            success = true,
+            pending = true,
+            message = pending_message(commit.hunk_count),
+            changedtick = changedtick,
+        }
+    end
+
+    local new_changedtick = vim.api.nvim_buf_get_changedtick(bufnr)
+
+    return {
+        success = true,
+        message = string.format(
+            "Replaced lines %d-%d in buffer %d",
+            start_line,
+            end_line,
+            bufnr
+        ),
+        changedtick = new_changedtick,
+        diagnostics = edited_range_diagnostics({ commit }),
+    }
+end
+
+---Apply multiple edits across buffers atomically
+---Every edit is validated against the in-memory result of the previous ones;
+---buffers are only modified if all edits resolve to a unique match
+---@param edits_data ApplyEditsData Edits and session information
+---@return ApplyEditsResult # Result object with success/per-edit error information
+function M.apply_edits(edits_data)
+    local edits = edits_data.edits or {}
+    if #edits == 0 then
+        return { success = false, error = "edits must not be empty" }
+    end
+
+    -- Validate all edits against in-memory buffer contents
+    ---@type table<number, string[]> # Map of bufnr to original lines
+    local original_lines = {}
+    ---@type table<number, string> # Map of bufnr to content after edits so far
+    local contents = {}
+    ---@type number[] # Buffers in order of first edit
+    local bufnrs = {}
+    local errors = {}
+
+    for index, edit in ipairs(edits) do
+        local bufnr = edit.bufnr
+        local err = nil
+
+        if not edit.old_string or not edit.new_string then
+            err = "old_string and new_string are required"
+        elseif not contents[bufnr] then
+            local valid_bufnr, buf_err = validate_modifiable_buffer(bufnr)
+            if valid_bufnr then
+                original_lines[bufnr] =
+                    vim.api.nvim_buf_get_lines(bufnr, 0, -1, false)
+                contents[bufnr] = table.concat(original_lines[bufnr], "\n")
+                table.insert(bufnrs, bufnr)
+            else
+                err = buf_err
+            end
+        end
+
+        if not err and contents[bufnr] then
+            local new_content, replace_err = replace.replace(
+                contents[bufnr],
+                edit.old_string,
+                edit.new_string,
+                edit.replace_all or false
+            )
+            if replace_err or new_content == nil then
+                err = replace_err
+            else
+                contents[bufnr] = new_content
             end
         end
+
+        if err then
+            table.insert(errors, { index = index, bufnr = bufnr, error = err })
+        end
+    end
+
+    if #errors > 0 then
+        local summary = {
+            string.format(
+                "%d of %d edits failed validation, no edits were applied:",
+                #errors,
+                #edits
+            ),
+        }
+        for _, edit_err in ipairs(errors) do
+            table.insert(
+                summary,
+                string.format(
+                    "- edit %d (buffer %s): %s",
+                    edit_err.index,
+                    tostring(edit_err.bufnr),
+                    edit_err.error
+                )
+            )
+        end
+        return {
+            success = false,
+            error = table.concat(summary, "\n"),
+            errors = errors,
+        }
+    end
+
+    -- All edits resolved, apply (or stage) the final content per buffer
+    local commits = {}
+    for _, bufnr in ipairs(bufnrs) do
+        local new_lines = vim.split(contents[bufnr], "\n", { plain = true })
+        table.insert(
+            commits,
+            commit_lines(
+                bufnr,
+                original_lines[bufnr],
+                new_lines,
+                edits_data.session_id
+            )
+        )
+    end
+
+    if commits[1].pending then
+        return {
+            success = true,
+            pending = true,
+            message = string.format(
+                "%d edits across %d buffer(s) staged as pending hunks awaiting user review",
+                #edits,
+                #bufnrs
+            ),
+        }
     end
 
     return {
         success = true,
-        message = replace_all and "All occurrences replaced" or "Text replaced",
+        message = string.format(
+            "Applied %d edits across %d buffer(s)",
+            #edits,
+            #bufnrs
+        ),
+        diagnostics = edited_range_diagnostics(commits),
     }
 end
 
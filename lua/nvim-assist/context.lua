@@ -0,0 +1,189 @@
+local M = {}
+
+---@class CursorPosition
+---@field line number Line (1-indexed)
+---@field col number Column (1-indexed, byte offset)
+
+---@class SelectionInfo
+---@field active boolean Whether visual mode is active (false for the last selection)
+---@field mode string Visual mode ("v", "V" or "\22" for blockwise)
+---@field start_line number First selected line (1-indexed)
+---@field start_col number First selected column (1-indexed)
+---@field end_line number Last selected line (1-indexed, inclusive)
+---@field end_col number Last selected column (1-indexed, inclusive)
+---@field text string Selected lines
+
+---@class WindowInfo
+---@field winid number Window identifier
+---@field bufnr number Buffer shown in the window
+---@field filepath string Full path to the buffer file
+---@field current boolean Whether this is the current window
+---@field top_line number First visible line (1-indexed)
+---@field bottom_line number Last visible line (1-indexed)
+---@field cursor CursorPosition Cursor position in the window
+
+---@class ListEntry
+---@field filepath string Full path to the file
+---@field line number Line (1-indexed)
+---@field col number Column (1-indexed)
+---@field text string Entry text
+
+---@class ListInfo
+---@field title string List title
+---@field entries ListEntry[] List entries (capped)
+
+---@class MarkInfo
+---@field mark string Mark name (e.g., "a", "<", ".")
+---@field line number Line (1-indexed)
+---@field col number Column (1-indexed)
+
+---@class EditorContext
+---@field mode string Current Neovim mode
+---@field bufnr number Current buffer number
+---@field filepath string Full path to the current buffer file
+---@field cursor CursorPosition Cursor position in the current window
+---@field selection? SelectionInfo Visual selection (or last selection) in the current buffer
+---@field windows WindowInfo[] Windows in the current tab page
+---@field quickfix ListInfo Quickfix list
+---@field loclist ListInfo Location list of the current window
+---@field marks MarkInfo[] Buffer-local marks of the current buffer
+
+---Maximum number of quickfix/location list entries returned
+local MAX_LIST_ENTRIES = 100
+
+---Visual modes as reported by nvim_get_mode
+local VISUAL_MODES = { v = true, V = true, ["\22"] = true }
+
+---Get cursor position of a window as 1-indexed line and column
+---@param win number Window identifier
+---@return CursorPosition # Cursor position
+local function get_cursor(win)
+    local pos = vim.api.nvim_win_get_cursor(win)
+    return { line = pos[1], col = pos[2] + 1 }
+end
+
+---Get the active visual selection, or the last one from the '< and '> marks
+---@param bufnr number Current buffer number
+---@param mode string Current mode
+---@return SelectionInfo|nil # Selection info, nil if there never was one
+local function get_selection(bufnr, mode)
+    local active = VISUAL_MODES[mode] or false
+    local start_pos, end_pos, visual_mode
+    if active then
+        start_pos = vim.fn.getpos("v")
+        end_pos = vim.fn.getpos(".")
+        visual_mode = mode
+    else
+        start_pos = vim.fn.getpos("'<")
+        end_pos = vim.fn.getpos("'>")
+        visual_mode = vim.fn.visualmode()
+        if start_pos[2] == 0 or visual_mode == "" then
+            return nil
+        end
+    end
+
+    -- Selection may be made upwards; normalize to start before end
+    local start_line, start_col = start_pos[2], start_pos[3]
+    local end_line, end_col = end_pos[2], end_pos[3]
+    if
+        start_line > end_line
+        or (start_line == end_line and start_col > end_col)
+    then
+        start_line, end_line = end_line, start_line
+        start_col, end_col = end_col, start_col
+    end
+
+    local lines =
+        vim.api.nvim_buf_get_lines(bufnr, start_line - 1, end_line, false)
+    return {
+        active = active,
+        mode = visual_mode,
+        start_line = start_line,
+        start_col = start_col,
+        end_line = end_line,
+        -- '> reports a huge column for linewise selections
+        end_col = math.min(end_col, #(lines[#lines] or "") + 1),
+        text = table.concat(lines, "\n"),
+    }
+end
+
+---Get windows of the current tab page (floating windows excluded)
+---@return WindowInfo[] # Window info list
+local function get_windows()
+    local current = vim.api.nvim_get_current_win()
+    local windows = {}
+    for _, win in ipairs(vim.api.nvim_tabpage_list_wins(0)) do
+        if vim.api.nvim_win_get_config(win).relative == "" then
+            local bufnr = vim.api.nvim_win_get_buf(win)
+            table.insert(windows, {
+                winid = win,
+                bufnr = bufnr,
+                filepath = vim.api.nvim_buf_get_name(bufnr),
+                current = win == current,
+                top_line = vim.fn.line("w0", win),
+                bottom_line = vim.fn.line("w$", win),
+                cursor = get_cursor(win),
+            })
+        end
+    end
+    return windows
+end
+
+---Convert a getqflist/getloclist result to a list info
+---@param list table Result with title and items fields
+---@return ListInfo # List info with capped entries
+local function to_list_info(list)
+    local entries = {}
+    for _, item in ipairs(list.items or {}) do
+        if #entries >= MAX_LIST_ENTRIES then
+            break
+        end
+        table.insert(entries, {
+            filepath = item.bufnr > 0 and vim.api.nvim_buf_get_name(item.bufnr)
+                or "",
+            line = item.lnum,
+            col = item.col,
+            text = item.text,
+        })
+    end
+    return { title = list.title or "", entries = entries }
+end
+
+---Get buffer-local marks of a buffer
+---@param bufnr number Buffer number
+---@return MarkInfo[] # Marks with positions
+local function get_marks(bufnr)
+    local marks = {}
+    for _, mark in ipairs(vim.fn.getmarklist(bufnr)) do
+        table.insert(marks, {
+            -- Mark names are reported with a leading quote (e.g., "'a")
+            mark = mark.mark:sub(2),
+            line = mark.pos[2],
+            col = mark.pos[3],
+        })
+    end
+    return marks
+end
+
+---Collect what the user is currently looking at in Neovim
+---@return EditorContext # Current editor state
+function M.get_context()
+    local bufnr = vim.api.nvim_get_current_buf()
+    local mode = vim.api.nvim_get_mode().mode
+
+    return {
+        mode = mode,
+        bufnr = bufnr,
+        filepath = vim.api.nvim_buf_get_name(bufnr),
+        cursor = get_cursor(0),
+        selection = get_selection(bufnr, mode),
+        windows = get_windows(),
+        quickfix = to_list_info(vim.fn.getqflist({ title = 1, items = 1 })),
+        loclist = to_list_info(
+            vim.fn.getloclist(0, { title = 1, items = 1 })
+        ),
+        marks = get_marks(bufnr),
+    }
+end
+
+return M
@@ -0,0 +1,177 @@
+local M = {}
+
+---@class DiagnosticsConfig
+---@field wait_ms number Default time to wait for language servers to republish diagnostics
+
+---@class DiagnosticEntry
+---@field bufnr number Buffer number
+---@field filepath string Full path to the buffer file
+---@field severity string Severity name ("ERROR", "WARN", "INFO", "HINT")
+---@field line number Start line (1-indexed)
+---@field col number Start column (1-indexed)
+---@field end_line number End line (1-indexed)
+---@field end_col number End column (1-indexed)
+---@field source? string Diagnostic source (e.g., language server name)
+---@field code? string|number Diagnostic code
+---@field message string Diagnostic message
+
+---@class DiagnosticsQuery
+---@field bufnr? number Buffer number (defaults to all open buffers)
+---@field wait_ms? number Maximum time to wait for republish (defaults to configured wait_ms, capped at MAX_WAIT_MS)
+
+---@class DiagnosticsResult
+---@field success boolean Whether the request succeeded
+---@field error? string Error message if failed
+---@field diagnostics? DiagnosticEntry[] Diagnostics if succeeded
+
+---Polling interval while waiting for diagnostics
+local WAIT_POLL_INTERVAL_MS = 50
+
+---Upper bound for waiting, since vim.wait blocks the editor
+local MAX_WAIT_MS = 3000
+
+---@type DiagnosticsConfig # Active configuration
+local config = {
+    wait_ms = 1000,
+}
+
+---@type table<number, number> # Map of bufnr to changedtick at last DiagnosticChanged
+local diagnostic_ticks = {}
+
+---Initialize diagnostics tracking
+---Records buffer changedtick whenever diagnostics are republished
+---Only buffers that received diagnostics before are waited on, so language
+---servers that never publish (formatters, completion) do not block edits
+---@param opts? DiagnosticsConfig Configuration (merged with defaults)
+function M.setup(opts)
+    config = vim.tbl_extend("force", config, opts or {})
+
+    local group =
+        vim.api.nvim_create_augroup("NvimAssistDiagnostics", { clear = true })
+    vim.api.nvim_create_autocmd("DiagnosticChanged", {
+        group = group,
+        callback = function(args)
+            if vim.api.nvim_buf_is_valid(args.buf) then
+                diagnostic_ticks[args.buf] =
+                    vim.api.nvim_buf_get_changedtick(args.buf)
+            end
+        end,
+    })
+    vim.api.nvim_create_autocmd({ "BufDelete", "BufWipeout" }, {
+        group = group,
+        callback = function(args)
+            diagnostic_ticks[args.buf] = nil
+        end,
+    })
+end
+
+---Check whether diagnostics of a buffer predate its latest change
+---Buffers without language servers, or whose diagnostics were never
+---published, are never stale
+---@param bufnr number Buffer number
+---@return boolean # True if language servers have not republished yet
+local function is_stale(bufnr)
+    local tick = diagnostic_ticks[bufnr]
+    if not tick or #vim.lsp.get_clients({ bufnr = bufnr }) == 0 then
+        return false
+    end
+    return tick < vim.api.nvim_buf_get_changedtick(bufnr)
+end
+
+---Wait until diagnostics of all buffers are up to date or timeout expires
+---@param bufnrs number[] Buffer numbers to wait for
+---@param wait_ms? number Maximum time to wait (defaults to configured wait_ms, capped at MAX_WAIT_MS)
+function M.wait(bufnrs, wait_ms)
+    wait_ms = math.min(wait_ms or config.wait_ms, MAX_WAIT_MS)
+    if wait_ms <= 0 then
+        return
+    end
+
+    vim.wait(wait_ms, function()
+        for _, bufnr in ipairs(bufnrs) do
+            if vim.api.nvim_buf_is_valid(bufnr) and is_stale(bufnr) then
+                return false
+            end
+        end
+        return true
+    end, WAIT_POLL_INTERVAL_MS)
+end
+
+---Convert vim.diagnostic entries to 1-indexed diagnostic entries
+---@param bufnr number Buffer number
+---@param items vim.Diagnostic[] Diagnostics from vim.diagnostic.get
+---@return DiagnosticEntry[] # Converted entries
+local function to_entries(bufnr, items)
+    local filepath = vim.api.nvim_buf_get_name(bufnr)
+    local entries = {}
+    for _, item in ipairs(items) do
+        table.insert(entries, {
+            bufnr = bufnr,
+            filepath = filepath,
+            severity = vim.diagnostic.severity[item.severity],
+            line = item.lnum + 1,
+            col = item.col + 1,
+            end_line = (item.end_lnum or item.lnum) + 1,
+            end_col = (item.end_col or item.col) + 1,
+            source = item.source,
+            code = item.code,
+            message = item.message,
+        })
+    end
+    return entries
+end
+
+---Get diagnostics in a line range of a buffer
+---Does not wait; call M.wait first after modifying the buffer
+---@param bufnr number Buffer number
+---@param start_line number First line (1-indexed)
+---@param end_line number Last line (1-indexed, inclusive)
+---@return DiagnosticEntry[] # Diagnostics overlapping the range
+function M.get_range_diagnostics(bufnr, start_line, end_line)
+    local items = {}
+    for _, item in ipairs(vim.diagnostic.get(bufnr)) do
+        local item_end = item.end_lnum or item.lnum
+        if item.lnum + 1 <= end_line and item_end + 1 >= start_line then
+            table.insert(items, item)
+        end
+    end
+    return to_entries(bufnr, items)
+end
+
+---Get diagnostics for one buffer or all open buffers
+---@param query? DiagnosticsQuery Query parameters
+---@return DiagnosticsResult # Result object with diagnostics or error
+function M.get_diagnostics(query)
+    query = query or {}
+    local bufnr = query.bufnr
+    local bufnrs = {}
+    if bufnr then
+        if
+            not vim.api.nvim_buf_is_valid(bufnr)
+            or not vim.api.nvim_buf_is_loaded(bufnr)
+        then
+            return {
+                success = false,
+                error = "Buffer " .. bufnr .. " is not valid or not loaded",
+            }
+        end
+        bufnrs = { bufnr }
+    else
+        -- Lazy require: buffer module depends on this one
+        local buffer = require("nvim-assist.buffer")
+        for _, info in ipairs(buffer.list_buffers()) do
+            table.insert(bufnrs, info.bufnr)
+        end
+    end
+
+    M.wait(bufnrs, query.wait_ms)
+
+    local diagnostics = {}
+    for _, nr in ipairs(bufnrs) do
+        vim.list_extend(diagnostics, to_entries(nr, vim.diagnostic.get(nr)))
+    end
+
+    return { success = true, diagnostics = diagnostics }
+end
+
+return M
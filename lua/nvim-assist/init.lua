@@ -3,14 +3,19 @@ local M = {}
 ---@class OpenCodeConfig
 ---@field provider string AI provider (e.g., "openrouter")
 ---@field model string Model identifier (e.g., "moonshotai/kimi-k2")
+---@field port? number Port of a running OpenCode server to share instead of starting one (it must load opencode/opencode.jsonc)
 
 ---@class NvimAssistConfig
 ---@field opencode OpenCodeConfig OpenCode server configuration
+---@field diagnostics DiagnosticsConfig Diagnostics feedback configuration
+---@field review ReviewConfig Review mode configuration
 
 local opencode = require("nvim-assist.opencode")
 local log = require("nvim-assist.log")
 local ui = require("nvim-assist.ui")
 local prompts = require("nvim-assist.prompts")
+local diagnostics = require("nvim-assist.diagnostics")
+local review = require("nvim-assist.review")
 
 ---Format error message with optional detail
 ---@param base_msg string Base error message
@@ -70,6 +75,12 @@ M.config = {
         provider = "opencode",
         model = "big-pickle",
     },
+    diagnostics = {
+        wait_ms = 1000,
+    },
+    review = {
+        enabled = false,
+    },
 }
 
 ---Run the assist operation with OpenCode
@@ -227,13 +238,27 @@ local function navigate()
 
         local cwd = vim.fn.getcwd()
 
+        -- Create the session here so editor tools are routed to this instance
+        local session, err = opencode.create_session(port, cwd)
+        if not session then
+            log.error(err)
+            return vim.notify(err, vim.log.levels.ERROR)
+        end
+
+        local ok, register_err =
+            opencode.register_instance(port, session.id, cwd, "navigator")
+        if not ok then
+            log.error(register_err)
+            return vim.notify(register_err, vim.log.levels.ERROR)
+        end
+
         -- Build session URL for browser interface with agent and model parameters
-        -- Session will be created automatically when accessing this endpoint
         local encoded_cwd = base64_encode(cwd)
         local session_url = string.format(
-            "http://localhost:%d/%s/session?agent=navigator&model=%s/%s",
+            "http://localhost:%d/%s/session/%s?agent=navigator&model=%s/%s",
             port,
             encoded_cwd,
+            session.id,
             M.config.opencode.provider,
             M.config.opencode.model
         )
@@ -335,6 +360,15 @@ function M.setup(user_opts)
     local log_path = base_dir .. "/nvim-assist.log"
     log.init(log_path)
 
+    -- Use a shared OpenCode server when a port is configured
+    opencode.setup(M.config.opencode)
+
+    -- Track diagnostic updates so tools can wait for language servers
+    diagnostics.setup(M.config.diagnostics)
+
+    -- Stage agent edits as pending hunks when review mode is enabled
+    review.setup(M.config.review)
+
     -- Create single autocommand group for all nvim-assist autocmds
     local augroup = vim.api.nvim_create_augroup("NvimAssist", { clear = true })
 
@@ -418,6 +452,44 @@ function M.setup(user_opts)
         desc = "Send selection or buffer to AI assistant",
     })
 
+    -- Create review commands to accept or reject pending hunks
+    vim.api.nvim_create_user_command("AssistAccept", function()
+        review.accept()
+    end, {
+        desc = "Accept pending AI change under cursor",
+    })
+
+    vim.api.nvim_create_user_command("AssistReject", function()
+        review.reject()
+    end, {
+        desc = "Reject pending AI change under cursor",
+    })
+
+    vim.api.nvim_create_user_command("AssistAcceptAll", function()
+        review.accept_all()
+    end, {
+        desc = "Accept all pending AI changes of session under cursor or buffer",
+    })
+
+    vim.api.nvim_create_user_command("AssistRejectAll", function()
+        review.reject_all()
+    end, {
+        desc = "Reject all pending AI changes of session under cursor or buffer",
+    })
+
+    -- Create :AssistClearAnnotations command to remove navigator notes
+    vim.api.nvim_create_user_command("AssistClearAnnotations", function(opts)
+        local bufnr = nil
+        if not opts.bang then
+            bufnr = vim.api.nvim_get_current_buf()
+        end
+        local cleared = ui.clear_annotations(bufnr)
+        log.debug(string.format("Cleared %d annotations", cleared))
+    end, {
+        bang = true,
+        desc = "Clear AI annotations in current buffer (! for all buffers)",
+    })
+
     -- Create :AssistNavigate command to open clean navigator session in browser
     vim.api.nvim_create_user_command("AssistNavigate", function()
         navigate()
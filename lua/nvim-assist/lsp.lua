@@ -0,0 +1,314 @@
+local M = {}
+
+---@class LspLocation
+---@field filepath string Absolute path to the file
+---@field line number Start line (1-indexed)
+---@field col number Start column (1-indexed, byte offset)
+---@field end_line? number End line (1-indexed)
+---@field end_col? number End column (1-indexed, byte offset)
+---@field text? string Source line at the start position
+
+---@class LspSymbol
+---@field name string Symbol name
+---@field kind string Symbol kind (e.g., "Function", "Class")
+---@field filepath string Absolute path to the file
+---@field line number Start line (1-indexed)
+---@field col number Start column (1-indexed, byte offset)
+
+---@class LspLocationsResult
+---@field success boolean Whether the request succeeded
+---@field error? string Error message if failed
+---@field locations? LspLocation[] Resolved locations if succeeded
+
+---@class LspSymbolsResult
+---@field success boolean Whether the request succeeded
+---@field error? string Error message if failed
+---@field symbols? LspSymbol[] Resolved symbols if succeeded
+
+---@class LspHoverResult
+---@field success boolean Whether the request succeeded
+---@field error? string Error message if failed
+---@field contents? string Hover contents as markdown
+
+---Timeout for synchronous LSP requests
+local LSP_REQUEST_TIMEOUT_MS = 5000
+
+---Validate buffer is loaded and has language servers supporting method
+---@param bufnr number Buffer number to validate
+---@param method string LSP method the clients must support
+---@return table[]|nil clients Matching clients on success
+---@return string|nil error Error message if invalid
+local function get_clients(bufnr, method)
+    if
+        not vim.api.nvim_buf_is_valid(bufnr)
+        or not vim.api.nvim_buf_is_loaded(bufnr)
+    then
+        return nil, "Buffer " .. bufnr .. " is not valid or not loaded"
+    end
+
+    local clients = vim.lsp.get_clients({ bufnr = bufnr, method = method })
+    if #clients == 0 then
+        return nil,
+            string.format(
+                "No language server attached to buffer %d supports %s",
+                bufnr,
+                method
+            )
+    end
+
+    return clients
+end
+
+---Build textDocument position params from 1-indexed line and column
+---@param bufnr number Buffer number
+---@param line number Line number (1-indexed)
+---@param col number Column number (1-indexed, byte offset)
+---@param offset_encoding string Client position encoding
+---@return table # TextDocumentPositionParams
+local function make_position_params(bufnr, line, col, offset_encoding)
+    return {
+        textDocument = vim.lsp.util.make_text_document_params(bufnr),
+        position = {
+            line = line - 1,
+            character = vim.lsp.util.character_offset(
+                bufnr,
+                line - 1,
+                col - 1,
+                offset_encoding
+            ),
+        },
+    }
+end
+
+---Send a synchronous request to one client
+---Client methods take the client as self since Neovim 0.11
+---@param client table LSP client
+---@param method string LSP method
+---@param params table Request params
+---@param bufnr number Buffer number
+---@return table|nil response Response with err/result fields, nil on failure
+---@return string|nil error Error message if the request failed
+local function request_sync(client, method, params, bufnr)
+    if vim.fn.has("nvim-0.11") == 1 then
+        return client:request_sync(
+            method,
+            params,
+            LSP_REQUEST_TIMEOUT_MS,
+            bufnr
+        )
+    end
+    return client.request_sync(method, params, LSP_REQUEST_TIMEOUT_MS, bufnr)
+end
+
+---Send request to each client and collect responses
+---Params are built per client since position encodings may differ
+---@param bufnr number Buffer number
+---@param method string LSP method
+---@param make_params fun(client: table): table Build request params for a client
+---@return table[]|nil responses Array of {client, result} with non-empty results
+---@return string|nil error Error message if every client failed
+local function request(bufnr, method, make_params)
+    local clients, err = get_clients(bufnr, method)
+    if not clients then
+        return nil, err
+    end
+
+    local results = {}
+    local last_err = nil
+    for _, client in ipairs(clients) do
+        local response, request_err =
+            request_sync(client, method, make_params(client), bufnr)
+        if not response then
+            last_err = request_err or "timeout"
+        elseif response.err then
+            last_err = response.err.message
+        elseif response.result then
+            table.insert(results, { client = client, result = response.result })
+        end
+    end
+
+    if #results == 0 and last_err then
+        return nil, string.format("%s request failed: %s", method, last_err)
+    end
+
+    return results
+end
+
+---Convert quickfix-style items to locations
+---@param items table[] Items from vim.lsp.util.locations_to_items
+---@return LspLocation[] # Converted locations
+local function items_to_locations(items)
+    local locations = {}
+    for _, item in ipairs(items) do
+        table.insert(locations, {
+            filepath = item.filename,
+            line = item.lnum,
+            col = item.col,
+            end_line = item.end_lnum,
+            end_col = item.end_col,
+            text = item.text,
+        })
+    end
+    return locations
+end
+
+---Run a position-based request returning Location or LocationLink results
+---@param bufnr number Buffer number
+---@param line number Line number (1-indexed)
+---@param col number Column number (1-indexed)
+---@param method string LSP method
+---@param extra_params? table Additional params merged into the request
+---@return LspLocationsResult # Result object with locations or error
+local function request_locations(bufnr, line, col, method, extra_params)
+    local responses, err = request(bufnr, method, function(client)
+        local params =
+            make_position_params(bufnr, line, col, client.offset_encoding)
+        if extra_params then
+            params = vim.tbl_extend("force", params, extra_params)
+        end
+        return params
+    end)
+    if not responses then
+        return { success = false, error = err }
+    end
+
+    local locations = {}
+    for _, response in ipairs(responses) do
+        local result = response.result
+        -- Single Location is returned as an object rather than an array
+        if result.uri or result.targetUri then
+            result = { result }
+        end
+        local items = vim.lsp.util.locations_to_items(
+            result,
+            response.client.offset_encoding
+        )
+        vim.list_extend(locations, items_to_locations(items))
+    end
+
+    return { success = true, locations = locations }
+end
+
+---Find definition of the symbol at a position
+---@param bufnr number Buffer number
+---@param line number Line number (1-indexed)
+---@param col number Column number (1-indexed)
+---@return LspLocationsResult # Result object with definition locations
+function M.definition(bufnr, line, col)
+    return request_locations(bufnr, line, col, "textDocument/definition")
+end
+
+---Find references to the symbol at a position
+---@param bufnr number Buffer number
+---@param line number Line number (1-indexed)
+---@param col number Column number (1-indexed)
+---@param include_declaration? boolean Include the declaration itself (default: true)
+---@return LspLocationsResult # Result object with reference locations
+function M.references(bufnr, line, col, include_declaration)
+    return request_locations(bufnr, line, col, "textDocument/references", {
+        context = { includeDeclaration = include_declaration ~= false },
+    })
+end
+
+---Get hover information (type signature, docs) at a position
+---@param bufnr number Buffer number
+---@param line number Line number (1-indexed)
+---@param col number Column number (1-indexed)
+---@return LspHoverResult # Result object with hover contents
+function M.hover(bufnr, line, col)
+    local method = "textDocument/hover"
+    local responses, err = request(bufnr, method, function(client)
+        return make_position_params(bufnr, line, col, client.offset_encoding)
+    end)
+    if not responses then
+        return { success = false, error = err }
+    end
+
+    local contents = {}
+    for _, response in ipairs(responses) do
+        local lines = vim.lsp.util.convert_input_to_markdown_lines(
+            response.result.contents
+        )
+        if #lines > 0 then
+            table.insert(contents, table.concat(lines, "\n"))
+        end
+    end
+
+    if #contents == 0 then
+        return {
+            success = false,
+            error = string.format(
+                "No hover information at %d:%d in buffer %d",
+                line,
+                col,
+                bufnr
+            ),
+        }
+    end
+
+    return { success = true, contents = table.concat(contents, "\n\n") }
+end
+
+---Convert symbol items to symbols
+---@param items table[] Items from vim.lsp.util.symbols_to_items
+---@return LspSymbol[] # Converted symbols
+local function items_to_symbols(items)
+    local symbols = {}
+    for _, item in ipairs(items) do
+        -- symbols_to_items formats text as "[Kind] name"
+        local name = item.text:match("^%[.-%]%s*(.*)$")
+        table.insert(symbols, {
+            name = name or item.text,
+            kind = item.kind,
+            filepath = item.filename,
+            line = item.lnum,
+            col = item.col,
+        })
+    end
+    return symbols
+end
+
+---Run a symbol request and convert results
+---@param bufnr number Buffer number
+---@param method string LSP method
+---@param params table Request params
+---@return LspSymbolsResult # Result object with symbols or error
+local function request_symbols(bufnr, method, params)
+    local responses, err = request(bufnr, method, function()
+        return params
+    end)
+    if not responses then
+        return { success = false, error = err }
+    end
+
+    local symbols = {}
+    for _, response in ipairs(responses) do
+        local items = vim.lsp.util.symbols_to_items(
+            response.result,
+            bufnr,
+            response.client.offset_encoding
+        )
+        vim.list_extend(symbols, items_to_symbols(items))
+    end
+
+    return { success = true, symbols = symbols }
+end
+
+---List symbols defined in a buffer
+---@param bufnr number Buffer number
+---@return LspSymbolsResult # Result object with document symbols
+function M.document_symbols(bufnr)
+    return request_symbols(bufnr, "textDocument/documentSymbol", {
+        textDocument = vim.lsp.util.make_text_document_params(bufnr),
+    })
+end
+
+---Search symbols across the workspace of the buffer's language servers
+---@param bufnr number Buffer number used to select language servers
+---@param query string Symbol name or fragment to search for
+---@return LspSymbolsResult # Result object with matching symbols
+function M.workspace_symbols(bufnr, query)
+    return request_symbols(bufnr, "workspace/symbol", { query = query })
+end
+
+return M
@@ -0,0 +1,181 @@
+local M = {}
+local ui = require("nvim-assist.ui")
+local buffer = require("nvim-assist.buffer")
+
+---@class QuickfixEntry
+---@field filepath string File path (absolute or relative to the project directory)
+---@field line number Line (1-indexed)
+---@field col? number Column (1-indexed, default: 1)
+---@field text? string Entry description
+
+---@class QuickfixData
+---@field title string Quickfix list title
+---@field entries QuickfixEntry[] Entries in order
+---@field cwd string Project directory; files must be under it
+---@field open? boolean Open the quickfix window (default: true)
+
+---@class LocationData
+---@field filepath string File path (absolute or relative to the project directory)
+---@field line number Line (1-indexed)
+---@field col? number Column (1-indexed, default: 1)
+---@field split? string "horizontal" or "vertical" to open in a new split (default: current window)
+---@field cwd string Project directory; files must be under it
+
+---@class AnnotationData
+---@field filepath string File path (absolute or relative to the project directory)
+---@field line number Line (1-indexed)
+---@field text string Note text
+---@field cwd string Project directory; files must be under it
+
+---@class NavigationResult
+---@field success boolean Whether the operation succeeded
+---@field error? string Error message if failed
+---@field message? string Success message if succeeded
+
+---Find the loaded buffer showing a file
+---@param filepath string Resolved absolute file path
+---@return number|nil # Buffer number, nil if the file is not loaded
+local function find_loaded_buffer(filepath)
+    for _, bufnr in ipairs(vim.api.nvim_list_bufs()) do
+        if
+            vim.api.nvim_buf_is_loaded(bufnr)
+            and vim.loop.fs_realpath(vim.api.nvim_buf_get_name(bufnr))
+                == filepath
+        then
+            return bufnr
+        end
+    end
+    return nil
+end
+
+---Replace the quickfix list with locations and optionally open it
+---Keeps focus in the current window
+---@param qf_data QuickfixData Quickfix title and entries
+---@return NavigationResult # Result object with success/error information
+function M.set_quickfix(qf_data)
+    local items = {}
+    for _, entry in ipairs(qf_data.entries or {}) do
+        local filepath, err =
+            buffer.resolve_project_path(entry.filepath, qf_data.cwd)
+        if not filepath then
+            return { success = false, error = err }
+        end
+        table.insert(items, {
+            filename = filepath,
+            lnum = entry.line,
+            col = entry.col or 1,
+            text = entry.text or "",
+        })
+    end
+
+    if #items == 0 then
+        return { success = false, error = "entries must not be empty" }
+    end
+
+    vim.fn.setqflist({}, " ", { title = qf_data.title, items = items })
+
+    if qf_data.open ~= false then
+        local win = vim.api.nvim_get_current_win()
+        vim.cmd("botright copen")
+        vim.api.nvim_set_current_win(win)
+    end
+
+    return {
+        success = true,
+        message = string.format(
+            "Quickfix list %q set with %d entries",
+            qf_data.title,
+            #items
+        ),
+    }
+end
+
+---Open a file at a position and center it in the window
+---@param location_data LocationData File and position to show
+---@return NavigationResult # Result object with success/error information
+function M.show_location(location_data)
+    local filepath, err =
+        buffer.resolve_project_path(location_data.filepath, location_data.cwd)
+    if not filepath then
+        return { success = false, error = err }
+    end
+
+    local split = location_data.split
+    if split == "horizontal" then
+        vim.cmd("split")
+    elseif split == "vertical" then
+        vim.cmd("vsplit")
+    end
+
+    -- :edit fails when the current buffer has unsaved changes and 'hidden' is off
+    local ok, edit_err = pcall(vim.cmd, "edit " .. vim.fn.fnameescape(filepath))
+    if not ok then
+        if split == "horizontal" or split == "vertical" then
+            vim.cmd("close")
+        end
+        return {
+            success = false,
+            error = "Failed to open " .. filepath .. ": " .. tostring(edit_err),
+        }
+    end
+
+    local line_count = vim.api.nvim_buf_line_count(0)
+    local line = math.max(1, math.min(location_data.line, line_count))
+    vim.api.nvim_win_set_cursor(0, { line, (location_data.col or 1) - 1 })
+    vim.cmd("normal! zz")
+
+    return {
+        success = true,
+        message = string.format("Showing %s:%d", filepath, line),
+    }
+end
+
+---Attach a note to a line as virtual text
+---Only files already loaded in a buffer can be annotated
+---@param annotation_data AnnotationData File, line and note text
+---@return NavigationResult # Result object with success/error information
+function M.annotate(annotation_data)
+    local filepath, err = buffer.resolve_project_path(
+        annotation_data.filepath,
+        annotation_data.cwd
+    )
+    if not filepath then
+        return { success = false, error = err }
+    end
+
+    local bufnr = find_loaded_buffer(filepath)
+    if not bufnr then
+        return {
+            success = false,
+            error = "File is not open in Neovim: "
+                .. annotation_data.filepath
+                .. " (show it with editor_show_location first)",
+        }
+    end
+
+    local line_count = vim.api.nvim_buf_line_count(bufnr)
+    if annotation_data.line < 1 or annotation_data.line > line_count then
+        return {
+            success = false,
+            error = string.format(
+                "Line %d is outside %s (%d lines)",
+                annotation_data.line,
+                filepath,
+                line_count
+            ),
+        }
+    end
+
+    ui.add_annotation(bufnr, annotation_data.line - 1, annotation_data.text)
+
+    return {
+        success = true,
+        message = string.format(
+            "Annotated %s:%d",
+            filepath,
+            annotation_data.line
+        ),
+    }
+end
+
+return M
@@ -26,6 +26,9 @@ local server_handle = nil
 ---@type Port? # Port number the OpenCode server is running on
 local server_port = nil
 
+---@type Port? # Port of an already running OpenCode server to use instead
+local external_port = nil
+
 local log = require("nvim-assist.log")
 
 ---Constants for logging and HTTP
@@ -34,6 +37,14 @@ local LOG_PROMPT_LENGTH = 200
 local HTTP_SUCCESS_MIN = 200
 local HTTP_SUCCESS_MAX = 300
 
+---Prefix of the prompt part registering this Neovim instance with the session
+---The OpenCode plugin routes the session's editor tool calls to this instance
+local INSTANCE_MARKER = "nvim-assist-instance:"
+
+---Context kept in the registration message once the marker part is removed
+local INSTANCE_CONTEXT =
+    "The user's Neovim editor is connected to this session. Use the editor tools to show code in it."
+
 ---@type table? # Lazy-loaded plenary.curl module
 local curl = nil
 
@@ -184,8 +195,14 @@ end
 
 ---Start OpenCode server and find available port
 ---Server starts in background and calls callback with port when ready
+---Uses the configured existing server instead, if any
 ---@param callback fun(port: Port|nil) Called with port number or nil on failure
 local function start_opencode_server(callback)
+    if external_port then
+        log.info("Using existing OpenCode server on port " .. external_port)
+        return callback(external_port)
+    end
+
     if server_handle then
         log.info("OpenCode server already running on port " .. server_port)
         return callback(server_port)
@@ -296,6 +313,12 @@ local function start_opencode_server(callback)
     stdout:read_start(create_port_reader("stdout"))
 end
 
+---Configure the OpenCode server connection
+---@param opts? OpenCodeConfig OpenCode configuration
+function M.setup(opts)
+    external_port = opts and opts.port or nil
+end
+
 ---Start OpenCode server
 ---@param callback fun(port: Port|nil) Called with port number when ready
 function M.start(callback)
@@ -318,9 +341,9 @@ function M.stop()
 end
 
 ---Get current OpenCode server port
----@return Port|nil # Port number if server running, nil otherwise
+---@return Port|nil # Port number if server running or configured, nil otherwise
 function M.get_port()
-    return server_port
+    return external_port or server_port
 end
 
 ---Check if OpenCode server is running
@@ -364,6 +387,17 @@ function M.create_session(port, cwd)
     return session
 end
 
+---Build the prompt part registering this Neovim instance with a session
+---The plugin removes it before the prompt reaches the model
+---@return table # Synthetic text part
+local function instance_part()
+    return {
+        type = "text",
+        text = INSTANCE_MARKER .. vim.v.servername,
+        synthetic = true,
+    }
+end
+
 ---Send prompt to OpenCode session asynchronously
 ---@param port Port Server port number
 ---@param session_id string Session identifier
@@ -399,12 +433,14 @@ function M.send_prompt_async(
     )
 
     -- Build request body
+    -- Second part tells the plugin which Neovim instance owns the session
     local body = {
         parts = {
             {
                 type = "text",
                 text = prompt_text,
             },
+            instance_part(),
         },
     }
 
@@ -441,6 +477,54 @@ function M.send_prompt_async(
     end
 end
 
+---Register this Neovim instance with a session without prompting the model
+---Used for sessions the user continues outside Neovim (e.g., in the browser)
+---@param port Port Server port number
+---@param session_id string Session identifier
+---@param cwd string Working directory
+---@param agent_name? string Agent the session should use (optional)
+---@return boolean|nil success True on success
+---@return string|nil error Error message on failure
+function M.register_instance(port, session_id, cwd, agent_name)
+    log.debug("Registering Neovim instance with session " .. session_id)
+
+    -- noReply stores the message without running the agent; the context part
+    -- keeps the message non-empty once the plugin removes the marker
+    local body = {
+        parts = {
+            {
+                type = "text",
+                text = INSTANCE_CONTEXT,
+                synthetic = true,
+            },
+            instance_part(),
+        },
+        noReply = true,
+    }
+    if agent_name then
+        body.agent = agent_name
+    end
+
+    local response, err = request(
+        port,
+        "POST",
+        string.format(
+            "/session/%s/message?directory=%s",
+            session_id,
+            url_encode(cwd)
+        ),
+        body,
+        true -- Allow empty response
+    )
+
+    if response then
+        log.info("Neovim instance registered with session " .. session_id)
+        return true
+    else
+        return nil, format_error("Failed to register Neovim instance", err)
+    end
+end
+
 ---Abort an active session
 ---@param port Port Server port number
 ---@param session_id string Session identifier to abort
@@ -0,0 +1,266 @@
+local M = {}
+local ui = require("nvim-assist.ui")
+local log = require("nvim-assist.log")
+
+---@class ReviewConfig
+---@field enabled boolean Stage agent edits as pending hunks instead of applying them
+
+---@class PendingHunk
+---@field id number Hunk identifier
+---@field bufnr number Buffer number
+---@field session_id? string OpenCode session that proposed the change
+---@field old_lines string[] Original lines the hunk replaces
+---@field new_lines string[] Proposed replacement lines
+---@field marks HunkMarks Extmarks tracking the hunk position
+
+---@type ReviewConfig # Active configuration
+local config = {
+    enabled = false,
+}
+
+---@type table<number, PendingHunk> # Map of hunk IDs to pending hunks
+local pending_hunks = {}
+
+---@type number # Next hunk identifier
+local next_hunk_id = 1
+
+---Line diff function (vim.diff was moved to vim.text.diff in Neovim 0.11)
+local diff = (vim.text and vim.text.diff) or vim.diff
+
+---Initialize review mode
+---@param opts? ReviewConfig Configuration (merged with defaults)
+function M.setup(opts)
+    config = vim.tbl_extend("force", config, opts or {})
+
+    -- Extmarks are gone once the buffer is unloaded, so drop its hunks
+    local group =
+        vim.api.nvim_create_augroup("NvimAssistReview", { clear = true })
+    vim.api.nvim_create_autocmd({ "BufUnload", "BufWipeout" }, {
+        group = group,
+        callback = function(args)
+            for id, hunk in pairs(pending_hunks) do
+                if hunk.bufnr == args.buf then
+                    pending_hunks[id] = nil
+                end
+            end
+        end,
+    })
+end
+
+---Check whether agent edits should be staged for review
+---@return boolean # True if review mode is enabled
+function M.is_enabled()
+    return config.enabled
+end
+
+---Check whether two line ranges overlap
+---Pure insertions (empty ranges) count as touching the line they precede
+---@param s1 number First range start (0-indexed)
+---@param e1 number First range end (exclusive)
+---@param s2 number Second range start (0-indexed)
+---@param e2 number Second range end (exclusive)
+---@return boolean # True if ranges overlap
+local function ranges_overlap(s1, e1, s2, e2)
+    return s1 < math.max(e2, s2 + 1) and s2 < math.max(e1, s1 + 1)
+end
+
+---Remove a hunk and its extmarks
+---@param hunk PendingHunk Hunk to remove
+local function drop_hunk(hunk)
+    ui.clear_hunk(hunk.bufnr, hunk.marks)
+    pending_hunks[hunk.id] = nil
+end
+
+---Stage the difference between buffer lines and proposed lines as pending hunks
+---Pending hunks overlapping a new hunk are superseded by it
+---@param bufnr number Buffer number
+---@param old_lines string[] Current buffer lines
+---@param new_lines string[] Proposed buffer lines
+---@param session_id? string OpenCode session that proposed the change
+---@return number # Number of hunks staged
+function M.stage(bufnr, old_lines, new_lines, session_id)
+    local indices = diff(
+        table.concat(old_lines, "\n") .. "\n",
+        table.concat(new_lines, "\n") .. "\n",
+        { result_type = "indices" }
+    )
+
+    for _, index in ipairs(indices) do
+        local start_a, count_a, start_b, count_b = unpack(index)
+        -- For pure insertions start_a is the line after which lines are added
+        local start_line = count_a == 0 and start_a or start_a - 1
+        local end_line = start_line + count_a
+
+        for _, hunk in pairs(pending_hunks) do
+            if hunk.bufnr == bufnr then
+                local s, e = ui.get_hunk_range(bufnr, hunk.marks)
+                if not s or ranges_overlap(s, e, start_line, end_line) then
+                    log.debug(
+                        string.format("Superseding pending hunk %d", hunk.id)
+                    )
+                    drop_hunk(hunk)
+                end
+            end
+        end
+
+        local hunk_new_lines = {}
+        for i = start_b, start_b + count_b - 1 do
+            table.insert(hunk_new_lines, new_lines[i])
+        end
+
+        local id = next_hunk_id
+        next_hunk_id = next_hunk_id + 1
+        pending_hunks[id] = {
+            id = id,
+            bufnr = bufnr,
+            session_id = session_id,
+            old_lines = vim.list_slice(old_lines, start_line + 1, end_line),
+            new_lines = hunk_new_lines,
+            marks = ui.render_hunk(bufnr, start_line, end_line, hunk_new_lines),
+        }
+    end
+
+    return #indices
+end
+
+---Apply a pending hunk to its buffer
+---@param hunk PendingHunk Hunk to apply
+---@return boolean success Whether the hunk was applied
+---@return string|nil error Error message if failed
+local function apply_hunk(hunk)
+    local start_line, end_line = ui.get_hunk_range(hunk.bufnr, hunk.marks)
+    if not start_line then
+        drop_hunk(hunk)
+        return false, string.format("Hunk %d is no longer tracked", hunk.id)
+    end
+
+    -- Refuse to overwrite lines the user changed after the hunk was staged
+    local current =
+        vim.api.nvim_buf_get_lines(hunk.bufnr, start_line, end_line, false)
+    if not vim.deep_equal(current, hunk.old_lines) then
+        return false,
+            string.format(
+                "Hunk %d is stale: original lines changed since it was staged",
+                hunk.id
+            )
+    end
+
+    drop_hunk(hunk)
+    vim.api.nvim_buf_set_lines(
+        hunk.bufnr,
+        start_line,
+        end_line,
+        false,
+        hunk.new_lines
+    )
+    return true
+end
+
+---Find the pending hunk under the cursor in the current window
+---@return PendingHunk|nil # Hunk under cursor, nil if none
+local function hunk_at_cursor()
+    local bufnr = vim.api.nvim_get_current_buf()
+    local row = vim.api.nvim_win_get_cursor(0)[1] - 1
+
+    for _, hunk in pairs(pending_hunks) do
+        if hunk.bufnr == bufnr then
+            local s, e = ui.get_hunk_range(bufnr, hunk.marks)
+            if s then
+                -- Hunks appended after the last line are anchored on it
+                local first = hunk.marks.append and s - 1 or s
+                if row >= first and row <= math.max(s, e - 1) then
+                    return hunk
+                end
+            end
+        end
+    end
+
+    return nil
+end
+
+---Collect hunks for bulk accept/reject
+---Uses the session of the hunk under the cursor, or all hunks in the current buffer
+---@return PendingHunk[] # Hunks in staging order
+local function bulk_targets()
+    local current = hunk_at_cursor()
+    local bufnr = vim.api.nvim_get_current_buf()
+
+    local hunks = {}
+    for _, hunk in pairs(pending_hunks) do
+        local matches
+        if current and current.session_id then
+            matches = hunk.session_id == current.session_id
+        else
+            matches = hunk.bufnr == bufnr
+        end
+        if matches then
+            table.insert(hunks, hunk)
+        end
+    end
+
+    table.sort(hunks, function(a, b)
+        return a.id < b.id
+    end)
+    return hunks
+end
+
+---Accept the pending hunk under the cursor
+function M.accept()
+    local hunk = hunk_at_cursor()
+    if not hunk then
+        return vim.notify("No pending hunk under cursor", vim.log.levels.WARN)
+    end
+
+    local ok, err = apply_hunk(hunk)
+    if not ok then
+        log.warn(err)
+        return vim.notify(err, vim.log.levels.WARN)
+    end
+    log.info(string.format("Accepted hunk %d", hunk.id))
+end
+
+---Reject the pending hunk under the cursor
+function M.reject()
+    local hunk = hunk_at_cursor()
+    if not hunk then
+        return vim.notify("No pending hunk under cursor", vim.log.levels.WARN)
+    end
+
+    drop_hunk(hunk)
+    log.info(string.format("Rejected hunk %d", hunk.id))
+end
+
+---Accept all pending hunks of the session under the cursor (or current buffer)
+function M.accept_all()
+    local accepted, failed = 0, 0
+    for _, hunk in ipairs(bulk_targets()) do
+        local ok, err = apply_hunk(hunk)
+        if ok then
+            accepted = accepted + 1
+        else
+            failed = failed + 1
+            log.warn(err)
+        end
+    end
+
+    local msg = string.format("Accepted %d pending hunks", accepted)
+    if failed > 0 then
+        msg = msg .. string.format(" (%d stale, see :AssistLog)", failed)
+    end
+    log.info(msg)
+    vim.notify(msg, failed > 0 and vim.log.levels.WARN or vim.log.levels.INFO)
+end
+
+---Reject all pending hunks of the session under the cursor (or current buffer)
+function M.reject_all()
+    local hunks = bulk_targets()
+    for _, hunk in ipairs(hunks) do
+        drop_hunk(hunk)
+    end
+
+    local msg = string.format("Rejected %d pending hunks", #hunks)
+    log.info(msg)
+    vim.notify(msg, vim.log.levels.INFO)
+end
+
+return M
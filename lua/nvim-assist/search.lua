@@ -0,0 +1,137 @@
+local M = {}
+local buffer = require("nvim-assist.buffer")
+
+---@class SearchQuery
+---@field pattern string Text or pattern to search for
+---@field mode? string "literal" (default), "lua" (Lua pattern) or "vim" (Vim regex)
+---@field bufnrs? number[] Buffers to search (defaults to all open buffers)
+---@field context? number Number of context lines before and after each hit (default: 2)
+---@field max_results? number Maximum number of hits to return (default: 50)
+
+---@class SearchMatch
+---@field bufnr number Buffer number
+---@field filepath string Full path to the buffer file
+---@field line number Line of the hit (1-indexed)
+---@field col number Column of the first match on the line (1-indexed, byte offset)
+---@field text string Full text of the line
+---@field before string[] Context lines before the hit
+---@field after string[] Context lines after the hit
+
+---@class SearchResult
+---@field success boolean Whether the search succeeded
+---@field error? string Error message if failed
+---@field matches? SearchMatch[] Hits, at most one per line
+---@field truncated? boolean Whether more hits exist than max_results
+
+---Defaults for search queries
+local DEFAULT_CONTEXT_LINES = 2
+local DEFAULT_MAX_RESULTS = 50
+
+---Build a matcher returning the 1-indexed start column of the first match
+---The matcher returns nil and an error message if the pattern fails on a line
+---@param pattern string Text or pattern to search for
+---@param mode string "literal", "lua" or "vim"
+---@return (fun(line: string): number|nil, string|nil)|nil matcher Matcher on success
+---@return string|nil error Error message if pattern is invalid
+local function build_matcher(pattern, mode)
+    if mode == "literal" then
+        return function(line)
+            return (line:find(pattern, 1, true))
+        end
+    elseif mode == "lua" then
+        -- Malformed patterns may only fail once matching reaches the bad
+        -- part, so every match is protected
+        return function(line)
+            local ok, start = pcall(string.find, line, pattern)
+            if not ok then
+                return nil, "Invalid Lua pattern: " .. start
+            end
+            return start
+        end
+    elseif mode == "vim" then
+        local ok, regex = pcall(vim.regex, pattern)
+        if not ok then
+            return nil, "Invalid Vim regex: " .. tostring(regex)
+        end
+        return function(line)
+            local start = regex:match_str(line)
+            return start and start + 1 or nil
+        end
+    end
+
+    return nil,
+        string.format(
+            "Unknown search mode %q (expected literal, lua or vim)",
+            mode
+        )
+end
+
+---Search unsaved content of open buffers
+---@param query SearchQuery Search parameters
+---@return SearchResult # Result object with hits or error
+function M.search_buffers(query)
+    if not query.pattern or query.pattern == "" then
+        return { success = false, error = "pattern must not be empty" }
+    end
+
+    local matcher, err = build_matcher(query.pattern, query.mode or "literal")
+    if not matcher then
+        return { success = false, error = err }
+    end
+
+    local context = query.context or DEFAULT_CONTEXT_LINES
+    local max_results = query.max_results or DEFAULT_MAX_RESULTS
+
+    -- Restrict to requested buffers, keeping only open file buffers
+    local targets = buffer.list_buffers()
+    if query.bufnrs then
+        local wanted = {}
+        for _, bufnr in ipairs(query.bufnrs) do
+            wanted[bufnr] = true
+        end
+        targets = vim.tbl_filter(function(info)
+            return wanted[info.bufnr]
+        end, targets)
+    end
+
+    local matches = {}
+    for _, info in ipairs(targets) do
+        local lines = vim.api.nvim_buf_get_lines(info.bufnr, 0, -1, false)
+        for i, line in ipairs(lines) do
+            local col, match_err = matcher(line)
+            if match_err then
+                return { success = false, error = match_err }
+            end
+            if col then
+                if #matches >= max_results then
+                    return {
+                        success = true,
+                        matches = matches,
+                        truncated = true,
+                    }
+                end
+                table.insert(matches, {
+                    bufnr = info.bufnr,
+                    filepath = info.filepath,
+                    line = i,
+                    col = col,
+                    text = line,
+                    before = vim.list_slice(
+                        lines,
+                        math.max(1, i - context),
+                        i - 1
+                    ),
+                    after = vim.list_slice(
+                        lines,
+                        i + 1,
+                        math.min(#lines, i + context)
+                    ),
+                })
+            end
+        end
+    end
+
+    return { success = true, matches = matches, truncated = false }
+end
+
+return M
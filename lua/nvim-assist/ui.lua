@@ -9,6 +9,12 @@ local M = {}
 ---@field session_id string|nil OpenCode session ID
 ---@field completed boolean Whether the session has completed (idle)
 
+---@class HunkMarks
+---@field range ExtmarkId Extmark spanning the original lines (or insertion point)
+---@field preview ExtmarkId Extmark holding the proposed lines as virtual lines
+---@field append boolean Whether lines are inserted after the anchor line (end of buffer)
+---@field empty boolean Whether the hunk has no original lines (pure insertion)
+
 ---@type number # Namespace ID for virtual text
 local ns_id = vim.api.nvim_create_namespace("nvim-assist")
 
@@ -20,6 +26,9 @@ local SPINNER_UPDATE_INTERVAL_MS = 100
 ---@type table<ExtmarkId, TrackedExtmark> # Map of extmark IDs to tracking info
 local tracked_extmarks = {}
 
+---@type table<number, ExtmarkId[]> # Map of buffer numbers to annotation extmark IDs
+local annotations = {}
+
 ---Check if buffer is valid and loaded
 ---@param bufnr number Buffer number to check
 ---@return boolean # True if buffer is valid and loaded
@@ -67,12 +76,13 @@ vim.api.nvim_create_autocmd({ "BufDelete", "BufWipeout" }, {
     group = cleanup_group,
     callback = function(args)
         local bufnr = args.buf
-        -- Remove all tracked extmarks for this buffer
+        -- Remove all tracked extmarks and annotations for this buffer
         for extmark_id, tracked in pairs(tracked_extmarks) do
             if tracked.bufnr == bufnr then
                 tracked_extmarks[extmark_id] = nil
             end
         end
+        annotations[bufnr] = nil
     end,
 })
 
@@ -293,6 +303,173 @@ function M.clear_region_highlights(bufnr, extmarks)
     end
 end
 
+---Render a pending hunk: highlight original lines and preview proposed lines
+---@param bufnr number Buffer number
+---@param start_line number First original line (0-indexed)
+---@param end_line number Line after the last original line (0-indexed, exclusive)
+---@param new_lines string[] Proposed replacement lines
+---@return HunkMarks # Extmarks for later lookup or clearing
+function M.render_hunk(bufnr, start_line, end_line, new_lines)
+    local line_count = vim.api.nvim_buf_line_count(bufnr)
+    local empty = end_line == start_line
+    -- Insertion past the last line anchors to the last line instead
+    local append = empty and start_line >= line_count and line_count > 0
+
+    local range_opts = {}
+    local range_line = start_line
+    if not empty then
+        local last_text = vim.api.nvim_buf_get_lines(
+            bufnr,
+            end_line - 1,
+            end_line,
+            false
+        )[1] or ""
+        range_opts = {
+            end_row = end_line - 1,
+            end_col = #last_text,
+            hl_group = "DiffDelete",
+            hl_eol = true,
+        }
+    elseif append then
+        range_line = line_count - 1
+    end
+    local range_mark =
+        vim.api.nvim_buf_set_extmark(bufnr, ns_id, range_line, 0, range_opts)
+
+    -- Header followed by proposed lines
+    local header = #new_lines > 0 and "pending change" or "pending deletion"
+    local virt_lines = {
+        {
+            {
+                get_line_indent(bufnr, range_line)
+                    .. header
+                    .. " (:AssistAccept / :AssistReject)",
+                "Comment",
+            },
+        },
+    }
+    for _, line in ipairs(new_lines) do
+        table.insert(virt_lines, { { line, "DiffAdd" } })
+    end
+
+    -- Preview goes below the original lines, or above the insertion point
+    local preview_line = empty and range_line or end_line - 1
+    local preview_mark =
+        vim.api.nvim_buf_set_extmark(bufnr, ns_id, preview_line, 0, {
+            virt_lines = virt_lines,
+            virt_lines_above = empty and not append,
+        })
+
+    return {
+        range = range_mark,
+        preview = preview_mark,
+        append = append,
+        empty = empty,
+    }
+end
+
+---Get current line range of a pending hunk (follows edits around it)
+---@param bufnr number Buffer number
+---@param marks HunkMarks Extmarks returned by render_hunk
+---@return number|nil start_line First original line (0-indexed), nil if mark is gone
+---@return number|nil end_line Line after the last original line (0-indexed, exclusive)
+function M.get_hunk_range(bufnr, marks)
+    local pos = safe_get_extmark(bufnr, marks.range, { details = true })
+    if not pos or #pos == 0 then
+        return nil, nil
+    end
+
+    local line, details = pos[1], pos[3] or {}
+    if marks.append then
+        return line + 1, line + 1
+    elseif marks.empty then
+        return line, line
+    end
+    return line, (details.end_row or line) + 1
+end
+
+---Clear pending hunk extmarks
+---@param bufnr number Buffer number
+---@param marks HunkMarks Extmarks returned by render_hunk
+function M.clear_hunk(bufnr, marks)
+    safe_del_extmark(bufnr, marks.range)
+    safe_del_extmark(bufnr, marks.preview)
+end
+
+---Attach a note as virtual text at the end of a line
+---@param bufnr number Buffer number
+---@param line number Line number (0-indexed)
+---@param text string Note text
+---@return ExtmarkId # Extmark identifier
+function M.add_annotation(bufnr, line, text)
+    local extmark_id = vim.api.nvim_buf_set_extmark(bufnr, ns_id, line, 0, {
+        virt_text = { { "  🤖 " .. text, "Comment" } },
+        virt_text_pos = "eol",
+    })
+    annotations[bufnr] = annotations[bufnr] or {}
+    table.insert(annotations[bufnr], extmark_id)
+    return extmark_id
+end
+
+---Capture current annotation lines of a buffer
+---Call BEFORE programmatic buffer replacements to capture manual edits
+---@param bufnr number Buffer number
+---@return table<ExtmarkId, number> # Map of annotation extmark IDs to lines (0-indexed)
+function M.capture_annotation_lines(bufnr)
+    local lines = {}
+    for _, extmark_id in ipairs(annotations[bufnr] or {}) do
+        local pos = safe_get_extmark(bufnr, extmark_id)
+        if pos and #pos > 0 then
+            lines[extmark_id] = pos[1]
+        end
+    end
+    return lines
+end
+
+---Move annotations back to their lines after a programmatic buffer replacement
+---Annotations on or after the first changed line shift by the line difference
+---@param bufnr number Buffer number
+---@param lines table<ExtmarkId, number> Lines from capture_annotation_lines
+---@param first_changed_line? number First changed line (1-indexed), nil if none
+---@param line_diff number Number of lines added (negative if removed)
+function M.restore_annotation_lines(bufnr, lines, first_changed_line, line_diff)
+    local line_count = vim.api.nvim_buf_line_count(bufnr)
+    for extmark_id, line in pairs(lines) do
+        local pos = safe_get_extmark(bufnr, extmark_id, { details = true })
+        if pos and #pos > 0 then
+            local target_line = line
+            if first_changed_line and line + 1 >= first_changed_line then
+                target_line = line + line_diff
+            end
+            target_line = math.max(0, math.min(target_line, line_count - 1))
+
+            local details = pos[3] or {}
+            safe_set_extmark(bufnr, target_line, 0, {
+                id = extmark_id,
+                virt_text = details.virt_text,
+                virt_text_pos = "eol",
+            })
+        end
+    end
+end
+
+---Clear all annotations, optionally only in one buffer
+---@param bufnr? number Buffer number (nil for all buffers)
+---@return number # Number of annotations cleared
+function M.clear_annotations(bufnr)
+    local cleared = 0
+    for annotation_bufnr, extmark_ids in pairs(annotations) do
+        if not bufnr or annotation_bufnr == bufnr then
+            for _, extmark_id in ipairs(extmark_ids) do
+                safe_del_extmark(annotation_bufnr, extmark_id)
+            end
+            cleared = cleared + #extmark_ids
+            annotations[annotation_bufnr] = nil
+        end
+    end
+    return cleared
+end
+
 ---Create animated spinner that updates virtual text periodically
 ---@param bufnr number Buffer number
 ---@param extmark_id ExtmarkId Extmark to animate
@@ -1,30 +1,99 @@
 import { type Plugin, tool } from "@opencode-ai/plugin";
 import { attach, type NeovimClient } from "neovim";
 import { Socket } from "net";
+import { PassThrough } from "stream";
 
 // ============================================================================
 // NVIM CLIENT
 // ============================================================================
 
+/** Time allowed to establish a socket connection to Neovim */
+const CONNECT_TIMEOUT_MS = 5000;
+
+/** Delays before each connection attempt (exponential backoff) */
+const RECONNECT_DELAYS_MS = [0, 250, 500, 1000, 2000, 4000];
+
+/** Time allowed for a single Lua call before it is reported as hung */
+const CALL_TIMEOUT_MS = 30000;
+
+/** Time allowed for the user to answer an editor_open_file prompt */
+const OPEN_FILE_ANSWER_TIMEOUT_MS = 120000;
+
+/** Maximum number of parent sessions followed to find a registered instance */
+const MAX_PARENT_SESSION_DEPTH = 10;
+
+/** Time allowed for a health check ping */
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
+
 /**
- * Connect to Neovim via msgpack-rpc
+ * Prefix of the prompt part Neovim sends to register its instance id
+ * (RPC socket path) for a session
  */
-async function connectToNvim(): Promise<NeovimClient> {
-  const socketPath = process.env.NVIM;
+const INSTANCE_MARKER = "nvim-assist-instance:";
 
-  if (!socketPath) {
-    throw new Error("NVIM environment variable is not set");
-  }
+/**
+ * Lua functions that modify buffers; a timed out call may still apply its edit
+ */
+const MUTATING_LUA_FUNCTIONS = new Set([
+  "buffer.replace_text",
+  "buffer.replace_lines",
+  "buffer.apply_edits",
+]);
 
+/**
+ * Reject with message if promise does not settle within ms
+ */
+function withTimeout<T>(
+  promise: Promise<T>,
+  ms: number,
+  message: string,
+): Promise<T> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+interface NvimConnection {
+  client: NeovimClient;
+  socket: Socket;
+}
+
+/**
+ * Connect to Neovim via msgpack-rpc
+ * onClose is called when an established connection drops.
+ */
+async function connectToNvim(
+  socketPath: string,
+  onClose: () => void,
+): Promise<NvimConnection> {
   return new Promise((resolve, reject) => {
     const socket = new Socket();
 
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Timed out connecting to Neovim at ${socketPath}`));
+    }, CONNECT_TIMEOUT_MS);
+
     socket.on("connect", () => {
-      const nvim = attach({ reader: socket, writer: socket });
-      resolve(nvim);
+      clearTimeout(timer);
+
+      // The RPC client reads from a stream that is ended once the socket
+      // closes, so a destroyed or reset socket detaches it cleanly
+      const reader = new PassThrough();
+      socket.pipe(reader, { end: false });
+      socket.on("close", () => {
+        reader.end();
+        onClose();
+      });
+
+      const client = attach({ reader, writer: socket });
+      resolve({ client, socket });
     });
 
     socket.on("error", (err) => {
+      clearTimeout(timer);
       reject(new Error(`Failed to connect to Neovim at ${socketPath}: ${err.message}`));
     });
 
@@ -32,15 +101,347 @@ async function connectToNvim(): Promise<NeovimClient> {
   });
 }
 
+/**
+ * Check that Neovim answers requests
+ * @returns Round-trip time in milliseconds
+ */
+async function pingNvim(nvim: NeovimClient): Promise<number> {
+  const start = Date.now();
+  await withTimeout(
+    nvim.eval("1"),
+    HEALTH_CHECK_TIMEOUT_MS,
+    `Neovim did not answer health check within ${HEALTH_CHECK_TIMEOUT_MS}ms`
+  );
+  return Date.now() - start;
+}
+
+interface NvimInstance {
+  socketPath: string;
+  client: NeovimClient | null;
+  socket: Socket | null;
+  connecting: Promise<NeovimClient> | null;
+}
+
+interface NvimInstanceHealth {
+  instance: string;
+  connected: boolean;
+  routedToSession: boolean;
+  latencyMs?: number;
+  error?: string;
+}
+
+/**
+ * Pool of Neovim connections keyed by instance id (RPC socket path).
+ * Sessions are routed to the instance registered for them or for one of their
+ * parent sessions (subagent tasks), falling back to the NVIM environment
+ * variable of the instance that started OpenCode.
+ * Dropped connections are re-established with backoff on next use.
+ */
+function createNvimPool(
+  onConnect: (nvim: NeovimClient) => void,
+  getParentSession: (sessionID: string) => Promise<string | undefined>,
+) {
+  const instances = new Map<string, NvimInstance>();
+  const sessionInstances = new Map<string, string>();
+  const defaultSocket = process.env.NVIM;
+
+  function getInstance(socketPath: string): NvimInstance {
+    let instance = instances.get(socketPath);
+    if (!instance) {
+      instance = { socketPath, client: null, socket: null, connecting: null };
+      instances.set(socketPath, instance);
+    }
+    return instance;
+  }
+
+  /**
+   * Find the instance registered for a session or its closest parent
+   */
+  async function findRegistered(
+    sessionID: string,
+  ): Promise<string | undefined> {
+    let current: string | undefined = sessionID;
+    for (let depth = 0; current && depth <= MAX_PARENT_SESSION_DEPTH; depth++) {
+      const registered = sessionInstances.get(current);
+      if (registered) {
+        // Remember the route so later calls skip the lookup
+        sessionInstances.set(sessionID, registered);
+        return registered;
+      }
+
+      try {
+        current = await getParentSession(current);
+      } catch {
+        return undefined;
+      }
+    }
+    return undefined;
+  }
+
+  async function resolveSocket(sessionID?: string): Promise<string> {
+    const registered = sessionID && (await findRegistered(sessionID));
+    if (registered) {
+      return registered;
+    }
+    if (defaultSocket) {
+      return defaultSocket;
+    }
+    // Single known instance is unambiguous even without registration
+    if (instances.size === 1) {
+      return [...instances.keys()][0];
+    }
+    throw new Error(
+      "No Neovim instance is registered for this session and the NVIM environment variable is not set. Start the session from Neovim (:Assist or :AssistNavigate)"
+    );
+  }
+
+  async function connect(instance: NvimInstance): Promise<NeovimClient> {
+    let lastError: unknown;
+    for (const delay of RECONNECT_DELAYS_MS) {
+      if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+
+      try {
+        const connection: NvimConnection = await connectToNvim(
+          instance.socketPath,
+          () => {
+            if (instance.client === connection.client) {
+              instance.client = null;
+              instance.socket = null;
+            }
+          }
+        );
+        onConnect(connection.client);
+        instance.client = connection.client;
+        instance.socket = connection.socket;
+        return connection.client;
+      } catch (err) {
+        lastError = err;
+      }
+    }
+
+    const reason = lastError instanceof Error ? lastError.message : lastError;
+    throw new Error(
+      `${reason} (gave up after ${RECONNECT_DELAYS_MS.length} attempts)`
+    );
+  }
+
+  /**
+   * Close an instance's connection so the next call reconnects
+   */
+  function disconnect(instance: NvimInstance) {
+    const socket = instance.socket;
+    instance.client = null;
+    instance.socket = null;
+    socket?.destroy();
+  }
+
+  function clientFor(instance: NvimInstance): Promise<NeovimClient> {
+    if (instance.client) {
+      return Promise.resolve(instance.client);
+    }
+    if (!instance.connecting) {
+      instance.connecting = connect(instance).finally(() => {
+        instance.connecting = null;
+      });
+    }
+    return instance.connecting;
+  }
+
+  return {
+    /**
+     * Route a session's tool calls to a Neovim instance
+     */
+    register(sessionID: string, socketPath: string) {
+      sessionInstances.set(sessionID, socketPath);
+      getInstance(socketPath);
+    },
+
+    /**
+     * Get a connected client for a session, reconnecting if needed
+     */
+    async get(sessionID?: string): Promise<NeovimClient> {
+      return clientFor(getInstance(await resolveSocket(sessionID)));
+    },
+
+    /**
+     * Ping every known instance; unresponsive connections are dropped so
+     * the next call reconnects
+     */
+    async health(sessionID?: string): Promise<NvimInstanceHealth[]> {
+      let routed: string | undefined;
+      try {
+        routed = await resolveSocket(sessionID);
+        getInstance(routed);
+      } catch {
+        routed = undefined;
+      }
+
+      const results: NvimInstanceHealth[] = [];
+      for (const instance of instances.values()) {
+        const routedToSession = instance.socketPath === routed;
+        try {
+          const latencyMs = await pingNvim(await clientFor(instance));
+          results.push({
+            instance: instance.socketPath,
+            connected: true,
+            routedToSession,
+            latencyMs,
+          });
+        } catch (err) {
+          disconnect(instance);
+          results.push({
+            instance: instance.socketPath,
+            connected: false,
+            routedToSession,
+            error: err instanceof Error ? err.message : String(err),
+          });
+        }
+      }
+      return results;
+    },
+  };
+}
+
+// ============================================================================
+// LUA BRIDGE
+// ============================================================================
+
+/**
+ * Call a function from an nvim-assist Lua module.
+ * Lua functions report failures as { success = false, error = "..." }.
+ */
+async function callLua(
+  nvim: NeovimClient,
+  module: string,
+  fn: string,
+  args: any[],
+  fallbackError: string,
+): Promise<any> {
+  // The call keeps running in Neovim after the timeout, so edits may still land
+  let timeoutMessage = `Neovim did not respond to nvim-assist.${module}.${fn} within ${CALL_TIMEOUT_MS / 1000}s (it may be blocked by a prompt or a long-running command)`;
+  if (MUTATING_LUA_FUNCTIONS.has(`${module}.${fn}`)) {
+    timeoutMessage += ". The edit may still be applied once Neovim responds: re-read the buffer with editor_get_buffer before retrying";
+  }
+
+  const result: any = await withTimeout(
+    nvim.lua(
+      `
+      local mod = require("nvim-assist.${module}")
+      return mod.${fn}(...)
+      `,
+      args
+    ),
+    CALL_TIMEOUT_MS,
+    timeoutMessage
+  );
+
+  if (result && typeof result === "object" && result.success === false) {
+    throw new Error(result.error || fallbackError);
+  }
+
+  return result;
+}
+
+/**
+ * Drop unset fields from an argument table for Lua.
+ * null and undefined would reach Lua as vim.NIL rather than nil.
+ */
+function compact(opts: Record<string, unknown>): Record<string, unknown> {
+  return Object.fromEntries(
+    Object.entries(opts).filter(
+      ([, value]) => value !== undefined && value !== null
+    )
+  );
+}
+
+/**
+ * Format the result of an edit for the agent.
+ * Explains pending (review mode) changes and lists diagnostics in edited lines.
+ */
+function formatEditResult(result: any, message: string): string {
+  // Review mode: change is staged, buffer content is unchanged
+  if (result?.pending) {
+    return `Change is pending: ${result.message}
+
+The buffer content stays unchanged until the user accepts it. Do not repeat the edit.`;
+  }
+
+  const diagnostics = result?.diagnostics;
+  if (Array.isArray(diagnostics) && diagnostics.length > 0) {
+    return `${message}
+
+Diagnostics in edited range (fix any errors you introduced):
+${JSON.stringify(diagnostics, null, 2)}`;
+  }
+
+  return message;
+}
+
+/**
+ * Promise that rejects once the tool call is aborted
+ */
+function whenAborted(signal: AbortSignal): Promise<never> {
+  return new Promise((_, reject) => {
+    if (signal.aborted) {
+      reject(new Error("Tool call was aborted"));
+      return;
+    }
+    signal.addEventListener(
+      "abort",
+      () => reject(new Error("Tool call was aborted")),
+      { once: true },
+    );
+  });
+}
+
 // ============================================================================
 // PLUGIN IMPLEMENTATION
 // ============================================================================
 
-export const NvimAssistPlugin: Plugin = async () => {
-  // Connect to Neovim once on plugin initialization
-  const nvim = await connectToNvim();
+export const NvimAssistPlugin: Plugin = async ({ client }) => {
+  // editor_open_file requests awaiting the user's answer, keyed by request id
+  const openFileRequests = new Map<number, (result: any) => void>();
+  let nextOpenFileRequestId = 1;
+
+  // Every (re)connected client gets the notification handler
+  const onConnect = (nvim: NeovimClient) => {
+    nvim.on("notification", (method: string, args: any[]) => {
+      if (method !== "nvim_assist_open_file") {
+        return;
+      }
+
+      const [requestId, result] = args;
+      openFileRequests.get(requestId)?.(result);
+    });
+  };
+
+  // Subagent sessions inherit the instance of the session that spawned them
+  const getParentSession = async (sessionID: string) => {
+    const session = await client.session.get({ path: { id: sessionID } });
+    return session.data?.parentID;
+  };
+
+  // Connect lazily
+  const pool = createNvimPool(onConnect, getParentSession);
 
   return {
+    // Neovim registers its instance id as an extra prompt part; record it and
+    // hide it from the model
+    "chat.message": async (input, output) => {
+      const index = output.parts.findIndex(
+        (part) => part.type === "text" && part.text.startsWith(INSTANCE_MARKER)
+      );
+      if (index === -1) {
+        return;
+      }
+
+      const part = output.parts[index] as { text: string };
+      pool.register(input.sessionID, part.text.slice(INSTANCE_MARKER.length));
+      output.parts.splice(index, 1);
+    },
+
     tool: {
       editor_list_buffers: tool({
         description: `Lists all open buffers in Neovim.
@@ -54,15 +455,17 @@ Usage:
 - Get the bufnr for buffers you want to read or modify
 - Use editor_get_buffer with the bufnr to read specific buffer content
 - Use editor_replace_text with the bufnr to modify specific buffers
-- For files not in this list, use the regular Read tool`,
+- For files not in this list, use the regular Read tool, or editor_open_file to open them for modification`,
         args: {},
-        async execute() {
-          const result = await nvim.lua(
-            `
-            local buffer = require("nvim-assist.buffer")
-            return buffer.list_buffers()
-            `,
-            []
+        async execute(_args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "buffer",
+            "list_buffers",
+            [],
+            "Failed to list buffers"
           );
 
           return JSON.stringify(result, null, 2);
@@ -74,30 +477,50 @@ Usage:
 
 Returns:
 - bufnr: Buffer number
-- content: Full buffer content as string
+- content: Buffer content as string (only the requested lines if a range is given)
 - filepath: Absolute path to the file
+- start_line, end_line: Returned line range (1-indexed, inclusive)
+- line_count: Total number of lines in the buffer
+- changedtick: Buffer version at read time (pass to editor_replace_lines)
 
 Usage:
 - ALWAYS use editor_list_buffers first to get available buffer numbers
 - Buffer number (bufnr) is REQUIRED - you must specify which buffer to read
 - The content returned is always up-to-date with the buffer state
+- For large buffers, read only the lines you need with startLine/endLine
+- Set lineNumbers to prefix each line with its number (followed by a tab) - needed for editor_replace_lines
 - This ensures explicit, intentional buffer access`,
         args: {
           bufnr: tool.schema.number().describe("Buffer number to read"),
+          startLine: tool.schema
+            .number()
+            .optional()
+            .describe("First line to read (1-indexed, default: 1)"),
+          endLine: tool.schema
+            .number()
+            .optional()
+            .describe("Last line to read (1-indexed, inclusive)"),
+          lineNumbers: tool.schema
+            .boolean()
+            .optional()
+            .describe("Prefix each line with its line number (default: false)"),
         },
-        async execute(args) {
-          const result = await nvim.lua(
-            `
-            local buffer = require("nvim-assist.buffer")
-            return buffer.get_buffer_content(...)
-            `,
-            [args.bufnr]
-          );
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
 
-          // Check for errors from Lua function
-          if (result && Array.isArray(result) && result[1] === null) {
-            throw new Error(result[2] || "Failed to get buffer content");
-          }
+          const opts = compact({
+            start_line: args.startLine,
+            end_line: args.endLine,
+            line_numbers: args.lineNumbers,
+          });
+
+          const result = await callLua(
+            nvim,
+            "buffer",
+            "get_buffer_content",
+            [args.bufnr, opts],
+            "Failed to get buffer content"
+          );
 
           return JSON.stringify(result, null, 2);
         },
@@ -129,6 +552,9 @@ Usage:
 - Buffer number (bufnr) is REQUIRED - you must specify which buffer to modify
 - When replacing text, preserve exact content as it appears in the buffer
 - If you get a "multiple matches" error, provide more surrounding lines in oldString to make it unique
+- Any diagnostics in the edited lines are listed after the success message
+- Consecutive changes of a session form a single undo step per buffer for the user
+- If the user enabled review mode, the change is reported as "pending": it is shown to the user for acceptance and the buffer stays unchanged until then
 - This ensures explicit, intentional buffer modifications`,
         args: {
           bufnr: tool.schema.number().describe("Buffer number to modify"),
@@ -145,29 +571,732 @@ Usage:
             .optional()
             .describe("Replace all occurrences (default: false)"),
         },
-        async execute(args) {
-          // Call the custom Lua function via lua API
-          const result = await nvim.lua(
-            `
-            local buffer = require("nvim-assist.buffer")
-            return buffer.replace_text(...)
-            `,
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "buffer",
+            "replace_text",
             [
               {
                 bufnr: args.bufnr,
                 old_string: args.oldString,
                 new_string: args.newString,
                 replace_all: args.replaceAll ?? false,
+                session_id: context.sessionID,
               },
-            ]
+            ],
+            "Failed to replace text"
+          );
+
+          return formatEditResult(
+            result,
+            `Successfully replaced text in buffer ${args.bufnr}`
           );
+        },
+      }),
+
+      editor_replace_lines: tool({
+        description: `Replaces an explicit line range in a Neovim buffer.
+
+Use this instead of editor_replace_text when you know the exact line numbers, e.g. in large or generated files where echoing oldString back is expensive.
+
+Error Handling:
+- "Buffer X changed since it was read" - The buffer was modified after your read; read it again and recompute line numbers
+- "Invalid line range" - Lines are outside the buffer
+
+Usage:
+- ALWAYS read the lines first with editor_get_buffer (lineNumbers: true) and pass its changedtick
+- startLine and endLine are 1-indexed and inclusive
+- To insert without replacing, set endLine to startLine - 1 (lines are inserted before startLine)
+- To delete lines, set newString to an empty string
+- Any edit changes the buffer's changedtick: use the changedtick returned by this tool for the next edit, or read again
+- Line numbers after the edited range shift when the number of lines changes
+- Any diagnostics in the edited lines are listed after the success message`,
+        args: {
+          bufnr: tool.schema.number().describe("Buffer number to modify"),
+          startLine: tool.schema
+            .number()
+            .describe("First line to replace (1-indexed)"),
+          endLine: tool.schema
+            .number()
+            .describe("Last line to replace (1-indexed, inclusive)"),
+          newString: tool.schema
+            .string()
+            .describe("Replacement text (without line number prefixes)"),
+          changedtick: tool.schema
+            .number()
+            .describe("changedtick returned by the read this edit is based on"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "buffer",
+            "replace_lines",
+            [
+              {
+                bufnr: args.bufnr,
+                start_line: args.startLine,
+                end_line: args.endLine,
+                new_string: args.newString,
+                changedtick: args.changedtick,
+                session_id: context.sessionID,
+              },
+            ],
+            "Failed to replace lines"
+          );
+
+          return formatEditResult(
+            result,
+            `${result.message} (changedtick is now ${result.changedtick})`
+          );
+        },
+      }),
+
+      editor_apply_edits: tool({
+        description: `Applies multiple text replacements across one or more Neovim buffers atomically.
+
+All edits are validated first, in order, each against the result of the previous ones.
+Buffers are only modified if EVERY edit resolves to a unique match - otherwise nothing is applied and per-edit errors are returned.
+
+Each edit has:
+- bufnr: Buffer number to modify
+- oldString: The text to find and replace
+- newString: The replacement text
+- replaceAll: Replace all occurrences (default: false)
+
+Matching works exactly like editor_replace_text.
+
+Usage:
+- Prefer this over many editor_replace_text calls for refactors spanning several places or buffers
+- ALWAYS use editor_get_buffer to read each target buffer first
+- Multiple edits to the same buffer are applied in list order
+- On failure, fix the reported edits and resend the whole list
+- All changes of a session form a single undo step per buffer for the user
+- Any diagnostics in the edited lines are listed after the success message`,
+        args: {
+          edits: tool.schema
+            .array(
+              tool.schema.object({
+                bufnr: tool.schema.number().describe("Buffer number to modify"),
+                oldString: tool.schema
+                  .string()
+                  .describe("The text to find and replace"),
+                newString: tool.schema
+                  .string()
+                  .describe("The replacement text"),
+                replaceAll: tool.schema
+                  .boolean()
+                  .optional()
+                  .describe("Replace all occurrences (default: false)"),
+              }),
+            )
+            .describe("Edits to apply, in order"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "buffer",
+            "apply_edits",
+            [
+              {
+                edits: args.edits.map((edit) => ({
+                  bufnr: edit.bufnr,
+                  old_string: edit.oldString,
+                  new_string: edit.newString,
+                  replace_all: edit.replaceAll ?? false,
+                })),
+                session_id: context.sessionID,
+              },
+            ],
+            "Failed to apply edits"
+          );
+
+          return formatEditResult(result, result.message);
+        },
+      }),
+
+      editor_open_file: tool({
+        description: `Opens a project file as a Neovim buffer so it can be read and modified with the editor tools.
+
+The user is asked in Neovim whether to allow this - the call waits for their answer.
+
+Returns:
+- bufnr: Buffer number of the opened file (use with editor_get_buffer and editor_replace_text)
+- filepath: Absolute path to the file
+
+Error Handling:
+- "User denied opening ..." - The user declined; do not retry, add a TODO: comment instead
+- "File ... is outside the session directory" - Only files under the project directory can be opened
+- "File does not exist" - Check the path with Glob first
+- "No answer from user ..." - The prompt was not answered within 2 minutes; do not retry, continue without the file
+
+Usage:
+- Use this when a change requires modifying a file that is not in editor_list_buffers
+- Files that are already open are returned immediately without asking
+- Set split to also show the file to the user in a horizontal or vertical split`,
+        args: {
+          path: tool.schema
+            .string()
+            .describe("File path, absolute or relative to the project"),
+          split: tool.schema
+            .enum(["horizontal", "vertical"])
+            .optional()
+            .describe("Also show the file in a split window"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
 
-          // Check for errors from Lua function
-          if (result && typeof result === "object" && result.success === false) {
-            throw new Error(result.error || "Failed to replace text");
+          const requestId = nextOpenFileRequestId++;
+          const decision = new Promise<any>((resolve) => {
+            openFileRequests.set(requestId, resolve);
+          });
+
+          try {
+            const openData = compact({
+              path: args.path,
+              cwd: context.directory,
+              request_id: requestId,
+              channel: await nvim.channelId,
+              split: args.split,
+            });
+
+            let result = await callLua(
+              nvim,
+              "buffer",
+              "open_file",
+              [openData],
+              "Failed to open file"
+            );
+
+            // Wait for the user's answer in Neovim
+            if (result.prompted) {
+              result = await Promise.race([
+                withTimeout(
+                  decision,
+                  OPEN_FILE_ANSWER_TIMEOUT_MS,
+                  `No answer from user within ${OPEN_FILE_ANSWER_TIMEOUT_MS / 1000}s to open ${args.path}`
+                ),
+                whenAborted(context.abort),
+              ]);
+              if (result.success === false) {
+                throw new Error(result.error || "Failed to open file");
+              }
+            }
+
+            return JSON.stringify(
+              { bufnr: result.bufnr, filepath: result.filepath },
+              null,
+              2
+            );
+          } finally {
+            openFileRequests.delete(requestId);
           }
+        },
+      }),
+
+      editor_search_buffers: tool({
+        description: `Searches the current (possibly unsaved) content of open Neovim buffers.
+
+Unlike Grep, this sees edits that are not saved to disk yet - including your own changes made with the editor tools.
+
+Returns:
+- matches: Array of hits (at most one per line) with:
+  - bufnr: Buffer number
+  - filepath: Absolute path to the file
+  - line, col: Position of the first match on the line (1-indexed)
+  - text: Full text of the matching line
+  - before, after: Context lines around the hit
+- truncated: true if there are more hits than maxResults
+
+Usage:
+- Use this instead of Grep to search files that are open in Neovim
+- mode "literal" (default) matches plain text, "lua" uses Lua patterns, "vim" uses Vim regex (e.g. \\<word\\>, \\c for ignore case)
+- Omit bufnrs to search all open buffers from editor_list_buffers
+- For files that are not open, use Grep`,
+        args: {
+          pattern: tool.schema.string().describe("Text or pattern to search for"),
+          mode: tool.schema
+            .enum(["literal", "lua", "vim"])
+            .optional()
+            .describe("Pattern syntax (default: literal)"),
+          bufnrs: tool.schema
+            .array(tool.schema.number())
+            .optional()
+            .describe("Buffers to search (default: all open buffers)"),
+          context: tool.schema
+            .number()
+            .optional()
+            .describe("Context lines before and after each hit (default: 2)"),
+          maxResults: tool.schema
+            .number()
+            .optional()
+            .describe("Maximum number of hits (default: 50)"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const query = compact({
+            pattern: args.pattern,
+            mode: args.mode,
+            bufnrs: args.bufnrs,
+            context: args.context,
+            max_results: args.maxResults,
+          });
+
+          const result = await callLua(
+            nvim,
+            "search",
+            "search_buffers",
+            [query],
+            "Failed to search buffers"
+          );
+
+          return JSON.stringify(
+            { matches: result.matches, truncated: result.truncated },
+            null,
+            2
+          );
+        },
+      }),
+
+      editor_get_context: tool({
+        description: `Gets what the user is currently looking at in Neovim.
+
+Returns:
+- mode: Current Neovim mode (e.g. "n", "v", "i")
+- bufnr, filepath: Current buffer
+- cursor: Cursor position in the current window (line, col; 1-indexed)
+- selection: Visual selection in the current buffer (active: true while in visual mode, otherwise the last selection) with start/end positions and selected text
+- windows: Visible windows with their bufnr, filepath, cursor and visible line range (top_line, bottom_line)
+- quickfix: Quickfix list title and entries (filepath, line, col, text)
+- loclist: Location list of the current window
+- marks: Marks in the current buffer (mark, line, col)
+
+Usage:
+- Use this when the user refers to "this", "here", "the selection" or "what I'm looking at"
+- Use this at the start of a session that did not receive code from the user
+- Positions are 1-indexed and can be used with editor_get_buffer and editor_lsp_* tools`,
+        args: {},
+        async execute(_args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "context",
+            "get_context",
+            [],
+            "Failed to get editor context"
+          );
+
+          return JSON.stringify(result, null, 2);
+        },
+      }),
+
+      editor_set_quickfix: tool({
+        description: `Fills the Neovim quickfix list with locations so the user can step through them with :cnext / :cprev.
+
+Each entry has:
+- filepath: File path (absolute or relative to the project directory)
+- line: Line (1-indexed)
+- col: Column (1-indexed, optional)
+- text: Short description shown next to the location
+
+Usage:
+- Use this when explaining a flow or listing places across files - order entries the way the user should visit them
+- Give the list a descriptive title (e.g. "Request handling flow")
+- Replaces the current quickfix list and opens the quickfix window (set open to false to skip opening)
+- Does not modify any file`,
+        args: {
+          title: tool.schema.string().describe("Quickfix list title"),
+          entries: tool.schema
+            .array(
+              tool.schema.object({
+                filepath: tool.schema.string().describe("File path"),
+                line: tool.schema.number().describe("Line (1-indexed)"),
+                col: tool.schema
+                  .number()
+                  .optional()
+                  .describe("Column (1-indexed)"),
+                text: tool.schema
+                  .string()
+                  .optional()
+                  .describe("Description of this location"),
+              }),
+            )
+            .describe("Locations in the order the user should visit them"),
+          open: tool.schema
+            .boolean()
+            .optional()
+            .describe("Open the quickfix window (default: true)"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "navigation",
+            "set_quickfix",
+            [
+              {
+                title: args.title,
+                entries: args.entries.map((entry) => ({
+                  filepath: entry.filepath,
+                  line: entry.line,
+                  col: entry.col ?? 1,
+                  text: entry.text ?? "",
+                })),
+                open: args.open ?? true,
+                cwd: context.directory,
+              },
+            ],
+            "Failed to set quickfix list"
+          );
+
+          return result.message;
+        },
+      }),
+
+      editor_show_location: tool({
+        description: `Opens a file at a position in a Neovim window to show it to the user.
+
+Usage:
+- Use this to point the user at the code you are explaining
+- By default the file replaces the content of the user's current window; set split to open it in a new split instead
+- The user can return with <C-o> (jumplist)
+- Only files under the project directory can be shown
+- Does not modify any file`,
+        args: {
+          filepath: tool.schema
+            .string()
+            .describe("File path, absolute or relative to the project"),
+          line: tool.schema.number().describe("Line (1-indexed)"),
+          col: tool.schema
+            .number()
+            .optional()
+            .describe("Column (1-indexed, default: 1)"),
+          split: tool.schema
+            .enum(["horizontal", "vertical"])
+            .optional()
+            .describe("Open in a new split instead of the current window"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const locationData = compact({
+            filepath: args.filepath,
+            line: args.line,
+            col: args.col ?? 1,
+            split: args.split,
+            cwd: context.directory,
+          });
+
+          const result = await callLua(
+            nvim,
+            "navigation",
+            "show_location",
+            [locationData],
+            "Failed to show location"
+          );
+
+          return result.message;
+        },
+      }),
+
+      editor_annotate: tool({
+        description: `Attaches a short note to a line in Neovim, shown as virtual text at the end of the line.
+
+Usage:
+- Use this to leave explanations next to the code they describe (e.g. "validates token, see auth.ts:42")
+- Keep notes short - they are displayed on a single line
+- Only files already open in Neovim can be annotated - show the file with editor_show_location first
+- Notes are not part of the file content and never modify the file
+- The user clears them with :AssistClearAnnotations`,
+        args: {
+          filepath: tool.schema
+            .string()
+            .describe("File path, absolute or relative to the project"),
+          line: tool.schema.number().describe("Line to annotate (1-indexed)"),
+          text: tool.schema.string().describe("Note text"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "navigation",
+            "annotate",
+            [
+              {
+                filepath: args.filepath,
+                line: args.line,
+                text: args.text,
+                cwd: context.directory,
+              },
+            ],
+            "Failed to annotate line"
+          );
+
+          return result.message;
+        },
+      }),
+
+      editor_get_diagnostics: tool({
+        description: `Gets diagnostics (errors, warnings, hints) reported by language servers and linters in Neovim.
+
+Returns an array of diagnostic objects with:
+- bufnr: Buffer number
+- filepath: Absolute path to the file
+- severity: "ERROR", "WARN", "INFO" or "HINT"
+- line, col: Start position (1-indexed)
+- end_line, end_col: End position (1-indexed)
+- source: Diagnostic source (e.g., language server name)
+- code: Diagnostic code, if any
+- message: Diagnostic message
+
+Usage:
+- Use this after modifying buffers to verify you did not introduce syntax or type errors
+- Omit bufnr to get diagnostics for all open buffers
+- Waits for language servers to republish diagnostics after recent edits (up to waitMs, configurable default, at most 3000ms)
+- Set waitMs to 0 to return current diagnostics immediately`,
+        args: {
+          bufnr: tool.schema
+            .number()
+            .optional()
+            .describe("Buffer number (default: all open buffers)"),
+          waitMs: tool.schema
+            .number()
+            .optional()
+            .describe(
+              "Maximum time to wait for updated diagnostics in ms (capped at 3000)"
+            ),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const query = compact({ bufnr: args.bufnr, wait_ms: args.waitMs });
+
+          const result = await callLua(
+            nvim,
+            "diagnostics",
+            "get_diagnostics",
+            [query],
+            "Failed to get diagnostics"
+          );
+
+          return JSON.stringify(result.diagnostics, null, 2);
+        },
+      }),
+
+      editor_lsp_definition: tool({
+        description: `Finds the definition of the symbol at a position using the language servers attached to the buffer in Neovim.
+
+Returns an array of locations with:
+- filepath: Absolute path to the file containing the definition
+- line, col: Start position (1-indexed)
+- end_line, end_col: End position (1-indexed)
+- text: Source line at the definition
+
+Usage:
+- Prefer this over Grep when looking for where a function, type or variable is defined
+- line and column point at the symbol in the buffer (1-indexed)
+- Resolves overloaded and shadowed names correctly, unlike text search
+- Fails if no language server supporting definitions is attached to the buffer`,
+        args: {
+          bufnr: tool.schema
+            .number()
+            .describe("Buffer number containing the symbol"),
+          line: tool.schema.number().describe("Line of the symbol (1-indexed)"),
+          column: tool.schema
+            .number()
+            .describe("Column of the symbol (1-indexed)"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "lsp",
+            "definition",
+            [args.bufnr, args.line, args.column],
+            "Failed to find definition"
+          );
+
+          return JSON.stringify(result.locations, null, 2);
+        },
+      }),
+
+      editor_lsp_references: tool({
+        description: `Finds all references to the symbol at a position using the language servers attached to the buffer in Neovim.
+
+Returns an array of locations with:
+- filepath: Absolute path to the file containing the reference
+- line, col: Start position (1-indexed)
+- end_line, end_col: End position (1-indexed)
+- text: Source line at the reference
+
+Usage:
+- Prefer this over Grep when looking for call sites or usages of a symbol
+- line and column point at the symbol in the buffer (1-indexed)
+- Set includeDeclaration to false to skip the declaration itself
+- Fails if no language server supporting references is attached to the buffer`,
+        args: {
+          bufnr: tool.schema
+            .number()
+            .describe("Buffer number containing the symbol"),
+          line: tool.schema.number().describe("Line of the symbol (1-indexed)"),
+          column: tool.schema
+            .number()
+            .describe("Column of the symbol (1-indexed)"),
+          includeDeclaration: tool.schema
+            .boolean()
+            .optional()
+            .describe("Include the declaration in results (default: true)"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "lsp",
+            "references",
+            [
+              args.bufnr,
+              args.line,
+              args.column,
+              args.includeDeclaration ?? true,
+            ],
+            "Failed to find references"
+          );
+
+          return JSON.stringify(result.locations, null, 2);
+        },
+      }),
+
+      editor_lsp_hover: tool({
+        description: `Gets hover information (type signature and documentation) for the symbol at a position using the language servers attached to the buffer in Neovim.
 
-          return `Successfully replaced text in buffer ${args.bufnr}`;
+Returns:
+- contents: Hover text as markdown
+
+Usage:
+- Use this to learn the type of a variable or the signature of a function without reading its definition
+- line and column point at the symbol in the buffer (1-indexed)
+- Fails if no language server supporting hover is attached to the buffer`,
+        args: {
+          bufnr: tool.schema
+            .number()
+            .describe("Buffer number containing the symbol"),
+          line: tool.schema.number().describe("Line of the symbol (1-indexed)"),
+          column: tool.schema
+            .number()
+            .describe("Column of the symbol (1-indexed)"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "lsp",
+            "hover",
+            [args.bufnr, args.line, args.column],
+            "Failed to get hover information"
+          );
+
+          return JSON.stringify({ contents: result.contents }, null, 2);
+        },
+      }),
+
+      editor_lsp_document_symbols: tool({
+        description: `Lists symbols (functions, classes, variables, ...) defined in a Neovim buffer using its attached language servers.
+
+Returns an array of symbols with:
+- name: Symbol name
+- kind: Symbol kind (e.g., "Function", "Class", "Method")
+- filepath: Absolute path to the file
+- line, col: Start position (1-indexed)
+
+Usage:
+- Use this to get an outline of a large buffer before reading parts of it
+- Fails if no language server supporting document symbols is attached to the buffer`,
+        args: {
+          bufnr: tool.schema
+            .number()
+            .describe("Buffer number to list symbols for"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "lsp",
+            "document_symbols",
+            [args.bufnr],
+            "Failed to list document symbols"
+          );
+
+          return JSON.stringify(result.symbols, null, 2);
+        },
+      }),
+
+      editor_lsp_workspace_symbols: tool({
+        description: `Searches symbols across the whole project using the language servers attached to a Neovim buffer.
+
+Returns an array of symbols with:
+- name: Symbol name
+- kind: Symbol kind (e.g., "Function", "Class", "Method")
+- filepath: Absolute path to the file
+- line, col: Start position (1-indexed)
+
+Usage:
+- Prefer this over Grep when looking for a type or function by name
+- bufnr selects which language servers to query - use any buffer of the relevant language
+- query is matched by the language server (usually fuzzy, by symbol name)
+- Fails if no language server supporting workspace symbols is attached to the buffer`,
+        args: {
+          bufnr: tool.schema
+            .number()
+            .describe("Buffer number whose language servers are queried"),
+          query: tool.schema.string().describe("Symbol name to search for"),
+        },
+        async execute(args, context) {
+          const nvim = await pool.get(context.sessionID);
+
+          const result = await callLua(
+            nvim,
+            "lsp",
+            "workspace_symbols",
+            [args.bufnr, args.query],
+            "Failed to search workspace symbols"
+          );
+
+          return JSON.stringify(result.symbols, null, 2);
+        },
+      }),
+
+      editor_health: tool({
+        description: `Checks the connection to the Neovim instances the editor tools talk to.
+
+Returns an array with one entry per known Neovim instance:
+- instance: Instance id (Neovim RPC socket path)
+- connected: Whether the instance answered a ping
+- routedToSession: Whether editor tools of this session use this instance
+- latencyMs: Ping round-trip time
+- error: Why the instance is unreachable
+
+Usage:
+- Use this when editor tools fail with connection or timeout errors
+- Unreachable instances are reconnected automatically on the next editor tool call`,
+        args: {},
+        async execute(_args, context) {
+          const result = await pool.health(context.sessionID);
+
+          return JSON.stringify(result, null, 2);
         },
       }),
     },